@@ -7,10 +7,127 @@ export const config = {
   HOST: process.env.HOST || "0.0.0.0",
   LOG_LEVEL: process.env.LOG_LEVEL || "info",
   DATABASE_URL: process.env.DATABASE_URL,
-  JWT_SECRET: process.env.JWT_SECRET,
+  // sms transport: lambda | http | file (writes to SMS_FILE_PATH) | memory
+  SMS_TRANSPORT:
+    process.env.SMS_TRANSPORT ||
+    { production: "lambda", test: "memory" }[process.env.NODE_ENV] ||
+    "file",
+  SMS_FILE_PATH: process.env.SMS_FILE_PATH || "sms-outbox.log",
+  SMS_HTTP_URL: process.env.SMS_HTTP_URL,
+  SMS_HTTP_API_KEY: process.env.SMS_HTTP_API_KEY,
+  SMS_HTTP_SENDER: process.env.SMS_HTTP_SENDER,
+  SMS_HTTP_ID_FIELD: process.env.SMS_HTTP_ID_FIELD || "id",
+  SMS_HTTP_PROVIDER_NAME: process.env.SMS_HTTP_PROVIDER_NAME || "http",
+  // voice transport: lambda (needs VOICE_LAMBDA_FUNCTION_NAME) | file (writes to VOICE_FILE_PATH)
+  // | memory | none (voice channel unavailable)
+  VOICE_TRANSPORT:
+    process.env.VOICE_TRANSPORT ||
+    { production: "lambda", test: "memory" }[process.env.NODE_ENV] ||
+    "file",
+  VOICE_FILE_PATH: process.env.VOICE_FILE_PATH || "voice-outbox.log",
+  // email transport: smtp | file (writes to EMAIL_FILE_PATH) | memory
+  EMAIL_TRANSPORT:
+    process.env.EMAIL_TRANSPORT ||
+    { production: "smtp", test: "memory" }[process.env.NODE_ENV] ||
+    "file",
+  EMAIL_FROM: process.env.EMAIL_FROM || "Dossh <no-reply@dossh.app>",
+  EMAIL_FILE_PATH: process.env.EMAIL_FILE_PATH || "email-outbox.log",
+  SMTP_HOST: process.env.SMTP_HOST,
+  SMTP_PORT: parseInt(process.env.SMTP_PORT || "587", 10),
+  SMTP_SECURE: process.env.SMTP_SECURE === "true",
+  SMTP_USER: process.env.SMTP_USER,
+  SMTP_PASSWORD: process.env.SMTP_PASSWORD,
+  // sms webhooks (delivery reports, inbound): HMAC secret and accepted clock skew
+  SMS_WEBHOOK_SECRET: process.env.SMS_WEBHOOK_SECRET,
+  SMS_WEBHOOK_TOLERANCE_SECONDS: parseInt(process.env.SMS_WEBHOOK_TOLERANCE_SECONDS || "300", 10),
+  // phone numbers: region (ISO 3166-1 alpha-2) national numbers are read in
+  DEFAULT_PHONE_REGION: process.env.DEFAULT_PHONE_REGION || "AU",
+  // email addresses: fold provider plus/dot aliases, domains emailValidation rejects
+  EMAIL_FOLD_ALIASES: process.env.EMAIL_FOLD_ALIASES !== "false",
+  EMAIL_ALLOW_DISPOSABLE: process.env.EMAIL_ALLOW_DISPOSABLE === "true",
+  EMAIL_BLOCKED_DOMAINS: (process.env.EMAIL_BLOCKED_DOMAINS || "")
+    .split(",")
+    .map((domain) => domain.trim().toLowerCase())
+    .filter(Boolean),
+  // messages: app name used in templates, locale when neither the customer nor the request sets one
+  APP_NAME: process.env.APP_NAME || "Dossh",
+  DEFAULT_LOCALE: process.env.DEFAULT_LOCALE || "en",
+  // auto-reply to inbound HELP
+  SMS_HELP_REPLY:
+    process.env.SMS_HELP_REPLY ||
+    "Dossh: for help visit https://dossh.app/help. Reply STOP to opt out. Msg & data rates may apply.",
   // aws configure
   AWS_REGION: process.env.AWS_REGION || "ap-southeast-2",
   SMS_LAMBDA_FUNCTION_NAME:
     process.env.SMS_LAMBDA_FUNCTION_NAME || "tool-sms-sendSmsFunction-qELG61cAgDO7",
+  VOICE_LAMBDA_FUNCTION_NAME: process.env.VOICE_LAMBDA_FUNCTION_NAME,
   JWT_REFRESH_SECRET: process.env.JWT_REFRESH_SECRET,
+  // access token signing keys: JSON array of { kid, alg (ES256|RS256), privateKey, publicKey, status (active|retiring) }
+  JWT_SIGNING_KEYS: JSON.parse(process.env.JWT_SIGNING_KEYS || "[]"),
+  // one time passwords: length and charset (numeric|alphanumeric)
+  OTP_LENGTH: parseInt(process.env.OTP_LENGTH || "6", 10),
+  OTP_CHARSET: process.env.OTP_CHARSET || "numeric",
+  // send the code over the other channel when the chosen one fails (sms <-> email, voice -> sms)
+  OTP_CHANNEL_FALLBACK: process.env.OTP_CHANNEL_FALLBACK === "true",
+  // outbox dispatcher: polling, retries with exponential backoff, lease on claimed messages
+  OUTBOX_POLL_INTERVAL_MS: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS || "5000", 10),
+  OUTBOX_BATCH_SIZE: parseInt(process.env.OUTBOX_BATCH_SIZE || "20", 10),
+  OUTBOX_MAX_ATTEMPTS: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || "5", 10),
+  OUTBOX_RETRY_BASE_SECONDS: parseInt(process.env.OUTBOX_RETRY_BASE_SECONDS || "5", 10),
+  OUTBOX_RETRY_MAX_SECONDS: parseInt(process.env.OUTBOX_RETRY_MAX_SECONDS || "600", 10),
+  OUTBOX_LEASE_SECONDS: parseInt(process.env.OUTBOX_LEASE_SECONDS || "60", 10),
+  // OTP sending limits: escalating resend cooldowns (seconds) by sends in the window, daily caps
+  OTP_RESEND_COOLDOWNS_SECONDS: (process.env.OTP_RESEND_COOLDOWNS_SECONDS || "30,120,300,900")
+    .split(",")
+    .map((seconds) => parseInt(seconds, 10)),
+  OTP_COOLDOWN_WINDOW_MINUTES: parseInt(process.env.OTP_COOLDOWN_WINDOW_MINUTES || "60", 10),
+  OTP_DAILY_LIMIT_PER_PHONE: parseInt(process.env.OTP_DAILY_LIMIT_PER_PHONE || "10", 10),
+  OTP_DAILY_LIMIT_PER_EMAIL: parseInt(process.env.OTP_DAILY_LIMIT_PER_EMAIL || "10", 10),
+  OTP_DAILY_LIMIT_PER_DEVICE: parseInt(process.env.OTP_DAILY_LIMIT_PER_DEVICE || "10", 10),
+  OTP_DAILY_LIMIT_PER_IP: parseInt(process.env.OTP_DAILY_LIMIT_PER_IP || "30", 10),
+  // server-side pepper for OTP hashes (HMAC-SHA256), required in production
+  OTP_PEPPER: process.env.OTP_PEPPER,
+  // registration lookups (availability checks and registrations) per IP/device within the window
+  REGISTRATION_LOOKUP_LIMIT_PER_IP: parseInt(
+    process.env.REGISTRATION_LOOKUP_LIMIT_PER_IP || "30",
+    10
+  ),
+  REGISTRATION_LOOKUP_LIMIT_PER_DEVICE: parseInt(
+    process.env.REGISTRATION_LOOKUP_LIMIT_PER_DEVICE || "10",
+    10
+  ),
+  REGISTRATION_LOOKUP_WINDOW_MINUTES: parseInt(
+    process.env.REGISTRATION_LOOKUP_WINDOW_MINUTES || "60",
+    10
+  ),
+  // unfinished registrations can be resumed for this long before they expire
+  REGISTRATION_SESSION_TTL_MINUTES: parseInt(
+    process.env.REGISTRATION_SESSION_TTL_MINUTES || "1440",
+    10
+  ),
+  // login rate limiting
+  LOGIN_MAX_FAILED_ATTEMPTS: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || "5", 10),
+  LOGIN_FAILURE_WINDOW_MINUTES: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || "15", 10),
+  LOGIN_MAX_FAILED_ATTEMPTS_PER_IP: parseInt(
+    process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP || "20",
+    10
+  ),
+  // devices reaching this many failed logins within the window are blocked
+  LOGIN_MAX_FAILED_ATTEMPTS_PER_DEVICE: parseInt(
+    process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_DEVICE || "10",
+    10
+  ),
+  // password hashing (scrypt) - raise cost over time, old hashes are rehashed on login
+  PASSWORD_SCRYPT_COST: parseInt(process.env.PASSWORD_SCRYPT_COST || "16384", 10),
+  PASSWORD_SCRYPT_BLOCK_SIZE: parseInt(process.env.PASSWORD_SCRYPT_BLOCK_SIZE || "8", 10),
+  PASSWORD_SCRYPT_PARALLELIZATION: parseInt(process.env.PASSWORD_SCRYPT_PARALLELIZATION || "1", 10),
+  PASSWORD_KEY_LENGTH: parseInt(process.env.PASSWORD_KEY_LENGTH || "64", 10),
+  PASSWORD_SALT_BYTES: parseInt(process.env.PASSWORD_SALT_BYTES || "16", 10),
+  // password policy for new passwords (change/reset)
+  PASSWORD_MIN_LENGTH: parseInt(process.env.PASSWORD_MIN_LENGTH || "8", 10),
+  PASSWORD_MAX_LENGTH: parseInt(process.env.PASSWORD_MAX_LENGTH || "128", 10),
+  PASSWORD_REQUIRE_UPPERCASE: process.env.PASSWORD_REQUIRE_UPPERCASE === "true",
+  PASSWORD_REQUIRE_LOWERCASE: process.env.PASSWORD_REQUIRE_LOWERCASE === "true",
+  PASSWORD_REQUIRE_DIGIT: process.env.PASSWORD_REQUIRE_DIGIT === "true",
+  PASSWORD_REQUIRE_SYMBOL: process.env.PASSWORD_REQUIRE_SYMBOL === "true",
 };
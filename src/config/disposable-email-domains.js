@@ -0,0 +1,47 @@
+/**
+ * Disposable (throwaway) email domains rejected by emailValidation unless
+ * EMAIL_ALLOW_DISPOSABLE=true. Subdomains are matched too. Add site-specific
+ * domains with EMAIL_BLOCKED_DOMAINS rather than here.
+ */
+export const DISPOSABLE_EMAIL_DOMAINS = [
+  "10minutemail.com",
+  "10minutemail.net",
+  "burnermail.io",
+  "discard.email",
+  "dispostable.com",
+  "emailfake.com",
+  "emailondeck.com",
+  "fakeinbox.com",
+  "fakemail.net",
+  "getnada.com",
+  "grr.la",
+  "guerrillamail.com",
+  "guerrillamail.net",
+  "guerrillamail.org",
+  "inboxkitten.com",
+  "jetable.org",
+  "mail.tm",
+  "mailcatch.com",
+  "maildrop.cc",
+  "mailinator.com",
+  "mailnesia.com",
+  "mailpoof.com",
+  "minuteinbox.com",
+  "mintemail.com",
+  "moakt.com",
+  "mohmal.com",
+  "mytemp.email",
+  "sharklasers.com",
+  "spambox.us",
+  "spamgourmet.com",
+  "tempail.com",
+  "tempinbox.com",
+  "tempmail.com",
+  "temp-mail.org",
+  "tempr.email",
+  "throwawaymail.com",
+  "trashmail.com",
+  "trashmail.de",
+  "yopmail.com",
+  "yopmail.fr",
+];
@@ -0,0 +1,34 @@
+/**
+ * Customer roles, mirroring the Prisma `Role` enum.
+ */
+export const ROLES = Object.freeze({
+  CUSTOMER: "CUSTOMER",
+  DEVELOPER: "DEVELOPER",
+  TESTING: "TESTING",
+  MANAGER: "MANAGER",
+});
+
+/**
+ * Permission map: permission name -> roles granted that permission.
+ * Customers can always act on their own records; the ":any" permissions
+ * allow acting on other customers' records.
+ */
+export const PERMISSIONS = Object.freeze({
+  "customers:read:any": [ROLES.MANAGER],
+});
+
+/**
+ * Check whether a role has been granted a permission.
+ *
+ * @function
+ * @param {string} role - Role from the access token
+ * @param {string} permission - Permission name from PERMISSIONS
+ * @returns {boolean} True if the role has the permission
+ *
+ * @example
+ * if (hasPermission(request.user.role, "customers:read:any")) { ... }
+ */
+export const hasPermission = (role, permission) => {
+  const roles = PERMISSIONS[permission];
+  return !!roles && roles.includes(role);
+};
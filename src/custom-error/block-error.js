@@ -1,7 +1,9 @@
 export class BlockedError extends Error {
-  constructor(message) {
+  constructor(message, reason) {
     super(message);
     this.name = "BlockedAccountError";
     this.statusCode = 400;
+    // Short code recorded with the attempt (e.g. "disposable_domain")
+    this.reason = reason;
   }
 }
@@ -0,0 +1,8 @@
+export class AuthFlowError extends Error {
+  constructor(message, details = {}) {
+    super(`Auth Flow Error: ${message}`);
+    this.name = "AuthFlowError";
+    this.statusCode = details.statusCode || 400;
+    this.details = details;
+  }
+}
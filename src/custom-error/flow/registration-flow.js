@@ -1,7 +1,8 @@
 export class RegistrationFlowError extends Error {
-  constructor(message) {
+  constructor(message, details = {}) {
     super(`Registration Flow Error: ${message}`);
     this.name = "RegistrationFlowError";
-    this.statusCode = 400;
+    this.statusCode = details.statusCode || 400;
+    this.details = details;
   }
 }
@@ -0,0 +1,8 @@
+export class WebhookFlowError extends Error {
+  constructor(message, details = {}) {
+    super(`Webhook Flow Error: ${message}`);
+    this.name = "WebhookFlowError";
+    this.statusCode = details.statusCode || 400;
+    this.details = details;
+  }
+}
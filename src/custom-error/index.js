@@ -1,5 +1,7 @@
 import { DeviceFlowError } from "./flow/device-flow.js";
 import { RegistrationFlowError } from "./flow/registration-flow.js";
 import { OtpFlowError } from "./flow/otp-flow.js";
+import { AuthFlowError } from "./flow/auth-flow.js";
+import { WebhookFlowError } from "./flow/webhook-flow.js";
 
-export { DeviceFlowError, RegistrationFlowError, OtpFlowError };
+export { DeviceFlowError, RegistrationFlowError, OtpFlowError, AuthFlowError, WebhookFlowError };
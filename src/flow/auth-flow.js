@@ -1,27 +1,265 @@
-import { verifyRefreshToken, generateAccessToken, generateRefreshToken } from "../lib/jwt.js";
+import {
+  verifyRefreshToken,
+  generateAccessToken,
+  generateRefreshToken,
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS,
+} from "../lib/jwt.js";
 import { randomUUID } from "crypto";
+import { config } from "../config/config.js";
+import { AuthFlowError } from "../custom-error/flow/auth-flow.js";
+import { hashPassword, verifyPassword } from "../utils/password.js";
+import { deviceValidation } from "../utils/device-validation.js";
+import { phoneValidation } from "../utils/phone-validation.js";
+import { emailValidation } from "../utils/email-validation.js";
+
+/**
+ * Issue a new access/refresh token pair for a customer.
+ *
+ * Shared by every flow that signs a customer in (OTP verification, password login)
+ * so that all of them return the same token payload. The refresh token is persisted
+ * in refresh_tokens, bound to the customer and device.
+ *
+ * @function
+ * @param {Object} request - Fastify request object
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} params - Token parameters
+ * @param {Object} params.customer - Customer record the tokens are issued for
+ * @param {string} [params.deviceId] - Device the customer is signed in on
+ * @param {string} [params.familyId] - Existing token family when rotating (new family if omitted)
+ * @param {string} [params.tokenId] - Pre-generated refresh token ID (jti)
+ * @param {Object} [params.tx] - Prisma transaction client to store the refresh token in
+ * @returns {Promise<Object>} Access and refresh tokens with expiration info
+ *
+ * @example
+ * const tokens = await issueTokens(request, fastify, { customer, deviceId });
+ * // Returns: { accessToken, refreshToken, expiresIn, tokenType }
+ */
+export const issueTokens = async (
+  request,
+  fastify,
+  { customer, deviceId, familyId = randomUUID(), tokenId = randomUUID(), tx }
+) => {
+  const { refreshToken: refreshTokenRepo } = tx ? fastify.reposFor(tx) : fastify.repos;
+
+  await refreshTokenRepo.create({
+    id: tokenId,
+    customerId: customer.id,
+    familyId,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000),
+    ip: request.ip,
+    userAgent: request.headers?.["user-agent"],
+    devicesId: deviceId,
+  });
+
+  const accessToken = generateAccessToken({
+    customerId: customer.id,
+    email: customer.email,
+    deviceId,
+    sessionId: familyId,
+    role: customer.role,
+  });
+
+  const refreshToken = generateRefreshToken({
+    customerId: customer.id,
+    tokenId,
+  });
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    tokenType: "Bearer",
+  };
+};
+
+/**
+ * Sign in a registered customer with email/phone and password.
+ *
+ * - Rejects the request when too many failed attempts were recorded for the identifier or IP
+ * - Blocks the device once it reaches LOGIN_MAX_FAILED_ATTEMPTS_PER_DEVICE failed attempts
+ * - Runs device, phone and email block checks
+ * - Verifies the password against the stored passwordHash and upgrades outdated hashes
+ * - Records every attempt in registration_attempts (action "login")
+ * - Issues the same token pair as OTP verification
+ *
+ * @function
+ * @param {Object} request - Fastify request object
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<Object>} Customer ID with access and refresh tokens
+ * @throws {AuthFlowError} If credentials are invalid, the account is inactive or rate limited
+ * @throws {BlockedError} If the device, phone or email is blocked
+ *
+ * @example
+ * const result = await login(request, fastify);
+ * // Returns: { customerId, accessToken, refreshToken, expiresIn, tokenType }
+ */
+export const login = async (request, fastify) => {
+  const {
+    block: blockRepo,
+    customer: customerRepo,
+    device: deviceRepo,
+    registrationAttempt: attemptRepo,
+  } = fastify.repos;
+  const logger = request.log;
+  const { email, phone, password, deviceId } = request.body;
+  const ip = request.ip;
+
+  if (!email && !phone) {
+    throw new AuthFlowError("Missing required fields: email or phone", {
+      statusCode: 400,
+      error: "INVALID_REQUEST",
+      message: "Either email or phone is required",
+    });
+  }
+
+  logger.info({ email, phone, deviceId }, "Login attempt received");
+
+  const recordAttempt = (result, reason) =>
+    attemptRepo.create({
+      id: randomUUID(),
+      phone,
+      email,
+      ip,
+      deviceId,
+      action: "login",
+      result,
+      reason,
+      devicesId: deviceId,
+    });
+
+  const countRecentFailures = (criteria) =>
+    attemptRepo.count({
+      ...criteria,
+      action: "login",
+      result: "failed",
+      since: new Date(Date.now() - config.LOGIN_FAILURE_WINDOW_MINUTES * 60 * 1000),
+    });
+
+  // Block the device once it reaches its limit, as for too many OTP attempts
+  const recordFailure = async (reason) => {
+    await recordAttempt("failed", reason);
+
+    const deviceFailures = await countRecentFailures({ deviceId });
+    if (deviceFailures >= config.LOGIN_MAX_FAILED_ATTEMPTS_PER_DEVICE) {
+      await blockRepo.create({
+        id: randomUUID(),
+        scope: "device",
+        value: deviceId,
+        reason: "Login max failed attempts exceeded",
+        source: "login",
+        devicesId: deviceId,
+      });
+      logger.warn({ deviceId, deviceFailures }, "Device blocked after failed logins");
+    }
+  };
+
+  /** 1. Rate limiting on recent failed attempts for the identifier and the IP */
+  const [recentFailures, ipFailures] = await Promise.all([
+    countRecentFailures(email ? { email } : { phone }),
+    countRecentFailures({ ip }),
+  ]);
+
+  if (
+    recentFailures >= config.LOGIN_MAX_FAILED_ATTEMPTS ||
+    ipFailures >= config.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP
+  ) {
+    logger.warn({ email, phone, ip, recentFailures, ipFailures }, "Login rate limit exceeded");
+    throw new AuthFlowError("Too many failed login attempts", {
+      statusCode: 429,
+      error: "TOO_MANY_ATTEMPTS",
+      message: "Too many failed login attempts, please try again later",
+    });
+  }
+
+  /** 2. Device, phone and email block checks */
+  const device = await deviceValidation(request, fastify);
+  await phoneValidation(request, fastify);
+  await emailValidation(request, fastify);
+
+  /** 3. Customer lookup and password verification */
+  const customer = email
+    ? await customerRepo.findByEmail(email)
+    : await customerRepo.findByPhone(phone);
+
+  if (!customer) {
+    await recordFailure("Customer not found");
+    throw new AuthFlowError("Invalid credentials", {
+      statusCode: 401,
+      error: "INVALID_CREDENTIALS",
+      message: "Invalid credentials",
+    });
+  }
+
+  const { valid, needsRehash } = await verifyPassword(password, customer.passwordHash);
+
+  if (!valid) {
+    await recordFailure("Invalid password");
+    throw new AuthFlowError("Invalid credentials", {
+      statusCode: 401,
+      error: "INVALID_CREDENTIALS",
+      message: "Invalid credentials",
+    });
+  }
+
+  if (!customer.isActive) {
+    await recordAttempt("failed", "Customer account is inactive");
+    throw new AuthFlowError("Customer account is inactive", {
+      statusCode: 403,
+      error: "ACCOUNT_INACTIVE",
+      message: "Customer account is inactive",
+    });
+  }
+
+  /** 4. Upgrade legacy or outdated password hashes */
+  if (needsRehash) {
+    await customerRepo.updatePasswordHash(customer.id, await hashPassword(password));
+    logger.info({ customerId: customer.id }, "Password hash upgraded");
+  }
+
+  /** 5. Attach device to customer and record success */
+  if (device.customerId) {
+    await deviceRepo.updateLastUsed(deviceId);
+  } else {
+    await deviceRepo.update(deviceId, { customerId: customer.id, lastUsedAt: new Date() });
+  }
+
+  await recordAttempt("success");
+
+  const tokens = await issueTokens(request, fastify, { customer, deviceId });
+
+  logger.info({ customerId: customer.id, deviceId }, "Customer logged in successfully");
+
+  return {
+    customerId: customer.id,
+    ...tokens,
+  };
+};
 
 /**
  * Refresh access token using a valid refresh token.
  *
- * This function implements token rotation for enhanced security:
- * - Verifies the provided refresh token
+ * This function implements token rotation with reuse detection:
+ * - Verifies the provided refresh token and loads its refresh_tokens record
+ * - Rejects revoked tokens, and tokens bound to a device presented without its
+ *   x-device-id or from a different one
+ * - Treats a token that was already rotated as stolen and revokes its whole family
  * - Checks if the customer account is still active
- * - Generates new access and refresh tokens
- * - Returns both tokens (invalidating the old refresh token)
+ * - Marks the old token as consumed, linked to a newly issued successor, in one
+ *   transaction so a failed issue does not burn the family
  *
  * @function
  * @param {Object} request - Fastify request object
  * @param {Object} fastify - Fastify instance
  * @returns {Promise<Object>} New access and refresh tokens with expiration info
- * @throws {Error} If refresh token is invalid, expired, or customer is inactive
+ * @throws {Error} If refresh token is invalid, reused, expired, or customer is inactive
  *
  * @example
  * const result = await refreshAccessToken(request, fastify);
  * // Returns: { accessToken, refreshToken, expiresIn, tokenType }
  */
 export const refreshAccessToken = async (request, fastify) => {
-  const { customer: customerRepo } = fastify.repos;
+  const { customer: customerRepo, refreshToken: refreshTokenRepo } = fastify.repos;
   const logger = request.log;
   const { refreshToken } = request.body;
 
@@ -36,7 +274,47 @@ export const refreshAccessToken = async (request, fastify) => {
     throw error; // Re-throw to be handled by route handler
   }
 
-  const { customerId } = decoded;
+  const { customerId, tokenId } = decoded;
+
+  // Look up the stored token
+  const storedToken = tokenId ? await refreshTokenRepo.findById(tokenId) : null;
+
+  if (!storedToken || storedToken.customerId !== customerId) {
+    logger.warn({ customerId, tokenId }, "Refresh token not found in store");
+    throw new Error("Invalid refresh token");
+  }
+
+  const { familyId } = storedToken;
+
+  // Reject revoked tokens
+  if (storedToken.status === "revoked") {
+    logger.warn({ customerId, tokenId, familyId }, "Revoked refresh token presented");
+    throw new Error("Invalid refresh token");
+  }
+
+  // An already rotated token being presented again means it was copied
+  const revokeOnReuse = async () => {
+    await refreshTokenRepo.revokeFamily(familyId, "reuse_detected");
+    logger.warn(
+      { customerId, tokenId, familyId, ip: request.ip },
+      "Refresh token reuse detected, token family revoked"
+    );
+    return new Error("Invalid refresh token");
+  };
+
+  if (storedToken.status === "consumed") {
+    throw await revokeOnReuse();
+  }
+
+  // Tokens are bound to the device they were issued to, which must be named
+  const headerDeviceId = request.headers["x-device-id"];
+  if (storedToken.devicesId && headerDeviceId !== storedToken.devicesId) {
+    logger.warn(
+      { customerId, tokenId, expected: storedToken.devicesId, received: headerDeviceId },
+      "Refresh token presented from a different device"
+    );
+    throw new Error("Invalid refresh token");
+  }
 
   // Get customer details
   const customer = await customerRepo.findById(customerId);
@@ -51,27 +329,110 @@ export const refreshAccessToken = async (request, fastify) => {
     throw new Error("Customer account is inactive");
   }
 
-  // Get device ID from header if provided
-  const deviceId = request.headers["x-device-id"];
+  // Rotate: consume the old token and issue its successor in the same family
+  const newTokenId = randomUUID();
+  const tokens = await fastify.prisma.$transaction(async (tx) => {
+    const consumed = await fastify.reposFor(tx).refreshToken.consume(storedToken.id, newTokenId);
 
-  // Generate new tokens (token rotation)
-  const newAccessToken = generateAccessToken({
-    customerId: customer.id,
-    email: customer.email,
-    deviceId,
-  });
+    if (!consumed) {
+      return null;
+    }
 
-  const newRefreshToken = generateRefreshToken({
-    customerId: customer.id,
-    tokenId: randomUUID(),
+    return issueTokens(request, fastify, {
+      customer,
+      deviceId: storedToken.devicesId ?? undefined,
+      familyId,
+      tokenId: newTokenId,
+      tx,
+    });
   });
 
-  logger.info({ customerId }, "Tokens refreshed successfully");
+  if (!tokens) {
+    // Lost a race with another refresh using the same token
+    throw await revokeOnReuse();
+  }
+
+  logger.info({ customerId, familyId }, "Tokens refreshed successfully");
 
-  return {
-    accessToken: newAccessToken,
-    refreshToken: newRefreshToken,
-    expiresIn: 3600,
-    tokenType: "Bearer",
-  };
+  return tokens;
+};
+
+/**
+ * Log out of the current session.
+ *
+ * Revokes the refresh token family the access token belongs to, so neither the
+ * refresh token nor any access token of this session can be used again. A refresh
+ * token may be passed in the body to revoke its session as well (e.g. for access
+ * tokens issued before sessions were tracked). The body is optional, so a bare
+ * logout call without one ends the current session.
+ *
+ * @function
+ * @param {Object} request - Fastify request object (request.user set by fastify.authenticate)
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<Object>} Number of revoked refresh tokens
+ * @throws {Error} If the provided refresh token is invalid or belongs to another customer
+ *
+ * @example
+ * const result = await logout(request, fastify);
+ * // Returns: { revokedTokens: 2 }
+ */
+export const logout = async (request, fastify) => {
+  const { refreshToken: refreshTokenRepo } = fastify.repos;
+  const logger = request.log;
+  const { customerId, sessionId } = request.user;
+  const { refreshToken } = request.body || {};
+
+  // Not validated by the route schema, which would reject a logout without a body
+  if (refreshToken !== undefined && (typeof refreshToken !== "string" || !refreshToken)) {
+    throw new Error("Invalid refresh token");
+  }
+
+  const familyIds = new Set();
+  if (sessionId) {
+    familyIds.add(sessionId);
+  }
+
+  if (refreshToken) {
+    const decoded = verifyRefreshToken(refreshToken);
+    const storedToken = decoded.tokenId ? await refreshTokenRepo.findById(decoded.tokenId) : null;
+
+    if (!storedToken || storedToken.customerId !== customerId) {
+      throw new Error("Invalid refresh token");
+    }
+
+    familyIds.add(storedToken.familyId);
+  }
+
+  let revokedTokens = 0;
+  for (const familyId of familyIds) {
+    revokedTokens += await refreshTokenRepo.revokeFamily(familyId, "logout");
+  }
+
+  logger.info({ customerId, sessions: [...familyIds] }, "Customer logged out");
+
+  return { revokedTokens };
+};
+
+/**
+ * Log out of every session of the authenticated customer.
+ *
+ * @function
+ * @param {Object} request - Fastify request object (request.user set by fastify.authenticate)
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<Object>} Number of revoked refresh tokens
+ *
+ * @example
+ * const result = await logoutAll(request, fastify);
+ * // Returns: { revokedTokens: 5 }
+ */
+export const logoutAll = async (request, fastify) => {
+  const { refreshToken: refreshTokenRepo } = fastify.repos;
+  const logger = request.log;
+  const { customerId } = request.user;
+
+  const revokedTokens = await refreshTokenRepo.revokeAllForCustomer(customerId, "logout_all");
+
+  logger.info({ customerId, revokedTokens }, "Customer logged out of all sessions");
+
+  return { revokedTokens };
 };
@@ -0,0 +1,159 @@
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert";
+import { refreshAccessToken } from "./auth-flow.js";
+import { generateRefreshToken, verifyAccessToken, verifyRefreshToken } from "../lib/jwt.js";
+
+describe("Auth Flow - refreshAccessToken", () => {
+  let mockRequest;
+  let mockFastify;
+  let mockRepos;
+  let storedTokens;
+  let createdTokens;
+
+  const presentToken = (tokenId) => {
+    mockRequest.body = { refreshToken: generateRefreshToken({ customerId: "cust-1", tokenId }) };
+  };
+
+  beforeEach(() => {
+    process.env.JWT_REFRESH_SECRET = "test-refresh-secret";
+
+    storedTokens = {
+      "token-1": {
+        id: "token-1",
+        customerId: "cust-1",
+        familyId: "family-1",
+        status: "active",
+        devicesId: "device-123",
+      },
+    };
+    createdTokens = [];
+
+    mockRepos = {
+      customer: {
+        findById: mock.fn(async (id) => ({
+          id,
+          email: "test@example.com",
+          role: "CUSTOMER",
+          isActive: true,
+        })),
+      },
+      refreshToken: {
+        findById: mock.fn(async (id) => storedTokens[id] ?? null),
+        consume: mock.fn(async (id) => {
+          if (storedTokens[id].status !== "active") {
+            return false;
+          }
+          storedTokens[id].status = "consumed";
+          return true;
+        }),
+        create: mock.fn(async (data) => {
+          createdTokens.push(data);
+          return data;
+        }),
+        revokeFamily: mock.fn(async () => 1),
+      },
+    };
+
+    mockFastify = {
+      repos: mockRepos,
+      reposFor: mock.fn(() => mockRepos),
+      prisma: {
+        $transaction: mock.fn(async (callback) => callback({})),
+      },
+    };
+
+    mockRequest = {
+      log: {
+        info: mock.fn(),
+        warn: mock.fn(),
+        error: mock.fn(),
+      },
+      headers: { "x-device-id": "device-123" },
+      ip: "192.168.1.100",
+    };
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  test("Should rotate the token within its family", async () => {
+    presentToken("token-1");
+
+    const result = await refreshAccessToken(mockRequest, mockFastify);
+
+    assert.strictEqual(mockFastify.prisma.$transaction.mock.calls.length, 1);
+    assert.strictEqual(storedTokens["token-1"].status, "consumed");
+    assert.strictEqual(createdTokens.length, 1);
+
+    const successor = createdTokens[0];
+    assert.strictEqual(successor.familyId, "family-1");
+    assert.strictEqual(successor.customerId, "cust-1");
+    assert.strictEqual(successor.devicesId, "device-123");
+    assert.strictEqual(
+      mockRepos.refreshToken.consume.mock.calls[0].arguments[1],
+      successor.id,
+      "Should record the successor on the consumed token"
+    );
+
+    assert.strictEqual(verifyRefreshToken(result.refreshToken).tokenId, successor.id);
+    assert.strictEqual(verifyAccessToken(result.accessToken).sessionId, "family-1");
+    assert.strictEqual(mockRepos.refreshToken.revokeFamily.mock.calls.length, 0);
+  });
+
+  test("Should revoke the family when a rotated token is presented again", async () => {
+    presentToken("token-1");
+    await refreshAccessToken(mockRequest, mockFastify);
+
+    await assert.rejects(refreshAccessToken(mockRequest, mockFastify), /Invalid refresh token/);
+
+    assert.strictEqual(mockRepos.refreshToken.revokeFamily.mock.calls.length, 1);
+    assert.deepStrictEqual(mockRepos.refreshToken.revokeFamily.mock.calls[0].arguments, [
+      "family-1",
+      "reuse_detected",
+    ]);
+    assert.strictEqual(createdTokens.length, 1, "Should not issue a second successor");
+  });
+
+  test("Should revoke the family when another refresh consumed the token first", async () => {
+    presentToken("token-1");
+    mockRepos.refreshToken.consume = mock.fn(async () => false);
+
+    await assert.rejects(refreshAccessToken(mockRequest, mockFastify), /Invalid refresh token/);
+
+    assert.deepStrictEqual(mockRepos.refreshToken.revokeFamily.mock.calls[0].arguments, [
+      "family-1",
+      "reuse_detected",
+    ]);
+    assert.strictEqual(createdTokens.length, 0);
+  });
+
+  test("Should reject a revoked token without revoking the family again", async () => {
+    storedTokens["token-1"].status = "revoked";
+    presentToken("token-1");
+
+    await assert.rejects(refreshAccessToken(mockRequest, mockFastify), /Invalid refresh token/);
+
+    assert.strictEqual(mockRepos.refreshToken.revokeFamily.mock.calls.length, 0);
+    assert.strictEqual(mockRepos.refreshToken.consume.mock.calls.length, 0);
+  });
+
+  test("Should reject a token that is not in the store", async () => {
+    presentToken("token-unknown");
+
+    await assert.rejects(refreshAccessToken(mockRequest, mockFastify), /Invalid refresh token/);
+    assert.strictEqual(mockRepos.refreshToken.consume.mock.calls.length, 0);
+  });
+
+  test("Should require the device the token is bound to", async () => {
+    presentToken("token-1");
+
+    for (const headers of [{}, { "x-device-id": "device-999" }]) {
+      mockRequest.headers = headers;
+      await assert.rejects(refreshAccessToken(mockRequest, mockFastify), /Invalid refresh token/);
+    }
+
+    assert.strictEqual(mockRepos.refreshToken.consume.mock.calls.length, 0);
+    assert.strictEqual(storedTokens["token-1"].status, "active");
+  });
+});
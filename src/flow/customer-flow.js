@@ -1,3 +1,18 @@
+// Node.js built-in
+import { randomUUID } from "crypto";
+
+// Custom error classes
+import { AuthFlowError } from "../custom-error/flow/auth-flow.js";
+
+// Configuration
+import { config } from "../config/config.js";
+
+// Message templates
+import { SUPPORTED_LOCALES } from "../lib/templates.js";
+
+// Utility functions
+import { checkPasswordPolicy, hashPassword, verifyPassword } from "../utils/password.js";
+
 /**
  * Update customer information with validation
  *
@@ -36,6 +51,13 @@ export const updateCustomerInfo = async (request, fastify) => {
     }
   }
 
+  if (updateData.locale) {
+    updateData.locale = updateData.locale.toLowerCase();
+    if (!SUPPORTED_LOCALES.includes(updateData.locale)) {
+      throw new Error(`Locale ${updateData.locale} is not supported`);
+    }
+  }
+
   console.log({ customerId, updateData });
 
   // Update customer
@@ -92,3 +114,123 @@ export const deactivateCustomerAccount = async (request, fastify) => {
     deactivatedAt: result.updatedAt,
   };
 };
+
+/**
+ * Change the authenticated customer's password
+ *
+ * Requires the current password and checks the new one against the password
+ * policy. Failed attempts are recorded and rate limited like login. With
+ * signOutOtherSessions every session except the current one is revoked (all
+ * of them when the access token carries no session claim), in the same
+ * transaction as the password update.
+ *
+ * @function
+ * @param {Object} request - Fastify request object (request.user set by fastify.authenticate)
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<Object>} Change time and number of revoked refresh tokens
+ * @throws {AuthFlowError} If the current password is wrong, the new one breaks the policy,
+ * or too many attempts failed
+ */
+export const changePassword = async (request, fastify) => {
+  const { customer: customerRepo, registrationAttempt: attemptRepo } = fastify.repos;
+  const logger = request.log;
+  const { customerId, sessionId, deviceId } = request.user; // From JWT token
+  const { currentPassword, newPassword, signOutOtherSessions = false } = request.body;
+
+  const customer = await customerRepo.findById(customerId);
+  if (!customer || !customer.isActive) {
+    throw new AuthFlowError("Customer not found", {
+      statusCode: 404,
+      error: "CUSTOMER_NOT_FOUND",
+      message: "Customer not found",
+    });
+  }
+
+  const recordAttempt = (result, reason) =>
+    attemptRepo.create({
+      id: randomUUID(),
+      phone: customer.phone,
+      email: customer.email,
+      ip: request.ip,
+      deviceId,
+      action: "password_change",
+      result,
+      reason,
+      devicesId: deviceId,
+    });
+
+  const since = new Date(Date.now() - config.LOGIN_FAILURE_WINDOW_MINUTES * 60 * 1000);
+  const recentFailures = await attemptRepo.count({
+    email: customer.email,
+    action: "password_change",
+    result: "failed",
+    since,
+  });
+
+  if (recentFailures >= config.LOGIN_MAX_FAILED_ATTEMPTS) {
+    logger.warn({ customerId, recentFailures }, "Password change rate limited");
+    throw new AuthFlowError("Too many failed attempts", {
+      statusCode: 429,
+      error: "TOO_MANY_ATTEMPTS",
+      message: "Too many failed attempts, please try again later",
+    });
+  }
+
+  const { valid } = await verifyPassword(currentPassword, customer.passwordHash);
+  if (!valid) {
+    await recordAttempt("failed", "Invalid current password");
+    throw new AuthFlowError("Invalid current password", {
+      statusCode: 401,
+      error: "INVALID_CREDENTIALS",
+      message: "Current password is incorrect",
+    });
+  }
+
+  const policy = checkPasswordPolicy(newPassword);
+  if (!policy.valid) {
+    throw new AuthFlowError("New password does not meet the password policy", {
+      statusCode: 400,
+      error: "WEAK_PASSWORD",
+      message: policy.errors.join(". "),
+    });
+  }
+
+  if (newPassword === currentPassword) {
+    throw new AuthFlowError("New password equals current password", {
+      statusCode: 400,
+      error: "PASSWORD_UNCHANGED",
+      message: "New password must be different from the current password",
+    });
+  }
+
+  const passwordHash = await hashPassword(newPassword);
+
+  // The new password and the sign-out commit together, so other sessions never
+  // outlive a changed password
+  const { updated, revokedTokens } = await fastify.prisma.$transaction(async (tx) => {
+    const repos = fastify.reposFor(tx);
+    const updated = await repos.customer.updatePasswordHash(customerId, passwordHash);
+
+    // An access token without a session claim leaves exceptFamilyId undefined,
+    // so the current session is revoked along with the others
+    let revokedTokens = 0;
+    if (signOutOtherSessions) {
+      revokedTokens = await repos.refreshToken.revokeAllForCustomer(
+        customerId,
+        "password_changed",
+        { exceptFamilyId: sessionId }
+      );
+    }
+
+    return { updated, revokedTokens };
+  });
+
+  await recordAttempt("success");
+
+  logger.info({ customerId, signOutOtherSessions, revokedTokens }, "Customer password changed");
+
+  return {
+    changedAt: updated.updatedAt,
+    revokedTokens,
+  };
+};
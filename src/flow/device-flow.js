@@ -1,5 +1,4 @@
-import { randomUUID } from "crypto";
-import { deviceIdGenerator } from "../utils/device-id-generator.js";
+import { generateId, ID_PREFIXES, insertWithUniqueId } from "../utils/random.js";
 
 /**
  * Create a new device with business logic
@@ -24,22 +23,23 @@ export const createDevice = async (request, fastify) => {
     lastUsedAt,
   } = data;
 
-  // Generate ID if not provided
-  const id = randomUUID();
-
-  // Create device in database
-  const device = await deviceRepo.create({
-    id: deviceIdGenerator(),
-    customerId,
-    deviceName,
-    deviceType,
-    os,
-    osVersion,
-    deviceFingerprint,
-    ip,
-    isActive,
-    lastUsedAt: lastUsedAt ? new Date(lastUsedAt) : undefined,
-  });
+  // Create device in database, retrying with a new ID on collision
+  const device = await insertWithUniqueId(
+    () => generateId(ID_PREFIXES.device),
+    (id) =>
+      deviceRepo.create({
+        id,
+        customerId,
+        deviceName,
+        deviceType,
+        os,
+        osVersion,
+        deviceFingerprint,
+        ip,
+        isActive,
+        lastUsedAt: lastUsedAt ? new Date(lastUsedAt) : undefined,
+      })
+  );
 
   logger.info({ deviceId: device.id }, "Device created successfully");
 
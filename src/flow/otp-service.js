@@ -0,0 +1,645 @@
+// Node.js built-in
+import { randomUUID } from "crypto";
+
+// Configuration
+import { config } from "../config/config.js";
+
+// Custom error classes
+import { OtpFlowError } from "../custom-error/flow/otp-flow.js";
+
+// Third-party/infra services
+import { enqueueMessage } from "../lib/outbox.js";
+import { renderMessage, resolveLocale } from "../lib/templates.js";
+import { isVoiceAvailable } from "../lib/voice-transports/index.js";
+
+// Utility functions
+import { generateOTP } from "../utils/otp.js";
+import { hashOtp, verifyOtp } from "../utils/crypto.js";
+
+/**
+ * What a code was issued for. Stored on registration_tokens.purpose; a code is
+ * only ever accepted for the purpose it was issued for.
+ */
+export const OTP_PURPOSES = {
+  REGISTRATION: "registration",
+  LOGIN: "login",
+  PASSWORD_RESET: "password_reset",
+  PHONE_CHANGE: "phone_change",
+  EMAIL_CHANGE: "email_change",
+};
+
+/**
+ * Where a code is delivered. Stored on registration_tokens.tokenType; the
+ * outbox dispatcher switches it to the fallback channel if it has to use one.
+ */
+export const OTP_CHANNELS = {
+  SMS: "sms",
+  EMAIL: "email",
+  VOICE: "voice",
+  BOTH: "both",
+};
+
+// Channel tried when the requested one fails and OTP_CHANNEL_FALLBACK is on
+const FALLBACK_CHANNELS = {
+  [OTP_CHANNELS.SMS]: OTP_CHANNELS.EMAIL,
+  [OTP_CHANNELS.EMAIL]: OTP_CHANNELS.SMS,
+  [OTP_CHANNELS.VOICE]: OTP_CHANNELS.SMS,
+};
+
+// Constants
+const OTP_EXPIRY_TIME = 5 * 60 * 1000; // 5 minutes in milliseconds
+const QUOTA_WINDOW = 24 * 60 * 60 * 1000; // rolling 24 hours in milliseconds
+const NO_SENDS = { count: 0, firstSentAt: null, lastSentAt: null };
+
+/**
+ * Reject purposes and channels the service does not know.
+ * @param {string} purpose - OTP purpose
+ * @param {string} [channel] - Delivery channel
+ * @throws {OtpFlowError} If either value is unsupported
+ */
+const assertSupported = (purpose, channel) => {
+  if (!Object.values(OTP_PURPOSES).includes(purpose)) {
+    throw new OtpFlowError(`Unsupported OTP purpose ${purpose}`, {
+      statusCode: 400,
+      error: "INVALID_PURPOSE",
+      message: "Unsupported verification purpose",
+    });
+  }
+
+  if (channel !== undefined && !Object.values(OTP_CHANNELS).includes(channel)) {
+    throw new OtpFlowError(`Unsupported OTP channel ${channel}`, {
+      statusCode: 400,
+      error: "INVALID_CHANNEL",
+      message: "Unsupported delivery channel",
+    });
+  }
+};
+
+/**
+ * Whether a single channel can reach the target.
+ * @param {string} channel - sms, email or voice
+ * @param {Object} target - { phone, email }
+ * @returns {boolean}
+ */
+const canReach = (channel, target) =>
+  channel === OTP_CHANNELS.EMAIL ? Boolean(target.email) : Boolean(target.phone);
+
+/**
+ * Whether a code stored with tokenType went to the given single channel.
+ * @param {string} tokenType - Channel the code was delivered on
+ * @param {string} channel - sms, email or voice
+ * @returns {boolean}
+ */
+const wasSentOver = (tokenType, channel) =>
+  tokenType === channel || (tokenType === OTP_CHANNELS.BOTH && channel !== OTP_CHANNELS.VOICE);
+
+/**
+ * Reject a channel the target has no destination for, and voice when no voice
+ * transport is configured.
+ * @param {string} channel - Delivery channel
+ * @param {Object} target - { phone, email }
+ * @throws {OtpFlowError} CHANNEL_UNAVAILABLE (400)
+ */
+const assertReachable = (channel, target) => {
+  if (channel === OTP_CHANNELS.VOICE && !isVoiceAvailable()) {
+    throw new OtpFlowError("Voice transport is not configured", {
+      statusCode: 400,
+      error: "CHANNEL_UNAVAILABLE",
+      message: "Voice calls are not available, please choose another delivery channel",
+    });
+  }
+
+  const reachable =
+    channel === OTP_CHANNELS.BOTH
+      ? canReach(OTP_CHANNELS.SMS, target) || canReach(OTP_CHANNELS.EMAIL, target)
+      : canReach(channel, target);
+
+  if (!reachable) {
+    throw new OtpFlowError(`No destination for OTP channel ${channel}`, {
+      statusCode: 400,
+      error: "CHANNEL_UNAVAILABLE",
+      message: "No phone number or email address for the selected delivery channel",
+    });
+  }
+};
+
+/**
+ * Cooldown to wait after a given number of sends in the cooldown window.
+ * The last configured value repeats.
+ * @param {number} sends - Codes already sent in the window (>= 1)
+ * @returns {number} Cooldown in milliseconds
+ */
+const cooldownAfter = (sends) => {
+  const cooldowns = config.OTP_RESEND_COOLDOWNS_SECONDS;
+  return cooldowns[Math.min(sends, cooldowns.length) - 1] * 1000;
+};
+
+/**
+ * Check the daily quotas and the escalating cooldown before sending a code.
+ *
+ * Every code queued in the outbox counts once, whatever the channel (resends
+ * included; the messages of a "both" send and fallbacks share the code's count):
+ * per phone (SMS and voice), per email address, per device and per IP over a
+ * rolling 24 hours. Every send for a purpose, first codes
+ * included, waits the cooldown that runs from the last code sent for that purpose
+ * to the phone/email/device and grows with the number of such codes sent in the
+ * cooldown window (OTP_RESEND_COOLDOWNS_SECONDS).
+ *
+ * @param {Object} request - Fastify request object
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} params
+ * @param {string} params.purpose - OTP purpose the code is sent for
+ * @param {Object} params.target - { phone, email }
+ * @param {string} params.deviceId - Device ID
+ * @returns {Promise<Object>} { remainingQuota, nextResendAt } after one more send
+ * @throws {OtpFlowError} OTP_DAILY_LIMIT or OTP_COOLDOWN_PERIOD (429) with retryAfter and remainingQuota
+ */
+const enforceSendLimits = async (request, fastify, { purpose, target, deviceId }) => {
+  const { outbox: outboxRepo } = fastify.repos;
+  const logger = request.log;
+  const now = Date.now();
+  const dayStart = new Date(now - QUOTA_WINDOW);
+  const windowStart = new Date(now - config.OTP_COOLDOWN_WINDOW_MINUTES * 60 * 1000);
+
+  // Codes (for a purpose, or any) sent to the target's phone, its email address and
+  // from the device since a time
+  const targetStats = (since, forPurpose) =>
+    Promise.all([
+      target.phone
+        ? outboxRepo.getCodeSendStats({ purpose: forPurpose, recipients: [target.phone], since })
+        : NO_SENDS,
+      target.email
+        ? outboxRepo.getCodeSendStats({ purpose: forPurpose, recipients: [target.email], since })
+        : NO_SENDS,
+      outboxRepo.getCodeSendStats({ purpose: forPurpose, deviceId, since }),
+    ]);
+
+  const [[phoneDay, emailDay, deviceDay], ipDay] = await Promise.all([
+    targetStats(dayStart),
+    outboxRepo.getCodeSendStats({ ip: request.ip, since: dayStart }),
+  ]);
+
+  const quotas = [
+    {
+      scope: "phone",
+      limit: config.OTP_DAILY_LIMIT_PER_PHONE,
+      ...phoneDay,
+    },
+    {
+      scope: "email",
+      limit: config.OTP_DAILY_LIMIT_PER_EMAIL,
+      ...emailDay,
+    },
+    {
+      scope: "device",
+      limit: config.OTP_DAILY_LIMIT_PER_DEVICE,
+      ...deviceDay,
+    },
+    {
+      scope: "ip",
+      limit: config.OTP_DAILY_LIMIT_PER_IP,
+      ...ipDay,
+    },
+  ];
+
+  const remainingQuota = Math.max(0, Math.min(...quotas.map((quota) => quota.limit - quota.count)));
+  const exhausted = quotas.filter((quota) => quota.count >= quota.limit);
+
+  if (exhausted.length > 0) {
+    // A slot frees up once the oldest counted send leaves the 24 hour window
+    const retryAfter = new Date(
+      Math.max(...exhausted.map((quota) => quota.firstSentAt.getTime() + QUOTA_WINDOW))
+    );
+    logger.warn(
+      { scopes: exhausted.map((quota) => quota.scope), deviceId, retryAfter },
+      "OTP daily limit reached"
+    );
+
+    throw new OtpFlowError("OTP_DAILY_LIMIT", {
+      statusCode: 429,
+      error: "OTP_DAILY_LIMIT",
+      message: "Daily limit for verification codes reached",
+      retryAfter,
+      remainingQuota: 0,
+    });
+  }
+
+  const windowStats = await targetStats(windowStart, purpose);
+  const sends = Math.max(...windowStats.map((stats) => stats.count));
+
+  if (sends > 0) {
+    const lastSentAt = Math.max(...windowStats.map((stats) => stats.lastSentAt?.getTime() ?? 0));
+    const retryAfter = new Date(lastSentAt + cooldownAfter(sends));
+
+    if (retryAfter.getTime() > now) {
+      logger.warn({ deviceId, sends, retryAfter }, "OTP within cooldown period");
+
+      throw new OtpFlowError("OTP_COOLDOWN_PERIOD", {
+        statusCode: 429,
+        error: "OTP_COOLDOWN_PERIOD",
+        message: "Please wait before requesting a new OTP",
+        retryAfter,
+        remainingQuota,
+      });
+    }
+  }
+
+  return {
+    remainingQuota: remainingQuota - 1,
+    nextResendAt: new Date(now + cooldownAfter(sends + 1)),
+  };
+};
+
+/**
+ * Single channels a code goes out on: "both" covers SMS and email, skipping one
+ * the target has no destination for.
+ * @param {string} channel - Delivery channel
+ * @param {Object} target - { phone, email }
+ * @returns {Array<string>} sms, email and/or voice
+ */
+const deliveryChannels = (channel, target) =>
+  channel === OTP_CHANNELS.BOTH
+    ? [OTP_CHANNELS.SMS, OTP_CHANNELS.EMAIL].filter((single) => canReach(single, target))
+    : [channel];
+
+/**
+ * Build the outbox message for a code on a single channel from the
+ * "otp.<purpose>" template. Voice calls read the code out digit by digit.
+ * @param {string} channel - sms, email or voice
+ * @param {Object} params
+ * @param {string} params.purpose - OTP purpose
+ * @param {Object} params.target - { phone, email }
+ * @param {string} params.otp - Code to send
+ * @param {string} params.locale - Supported locale
+ * @returns {Object} { channel, recipient, subject, body, html }
+ */
+const buildMessage = (channel, { purpose, target, otp, locale }) => {
+  const code = channel === OTP_CHANNELS.VOICE ? otp.split("").join(", ") : otp;
+  const { subject, body, html } = renderMessage(`otp.${purpose}`, {
+    channel,
+    locale,
+    variables: { code, expiryMinutes: OTP_EXPIRY_TIME / 60000 },
+  });
+
+  return {
+    channel,
+    recipient: channel === OTP_CHANNELS.EMAIL ? target.email : target.phone,
+    subject,
+    body,
+    html,
+  };
+};
+
+/**
+ * Queue a code in the outbox on each of its delivery channels.
+ *
+ * With OTP_CHANNEL_FALLBACK on, a single-channel message carries the message
+ * for its fallback channel (sms <-> email, voice -> sms), which the dispatcher
+ * queues if the first channel fails.
+ *
+ * @param {Object} repos - Repositories bound to the caller's transaction
+ * @param {Object} params
+ * @param {string} params.purpose - OTP purpose
+ * @param {string} params.channel - Delivery channel
+ * @param {Object} params.target - { phone, email }
+ * @param {string} params.otp - Code to send
+ * @param {string} params.locale - Supported locale
+ * @param {string} params.tokenId - Token the code belongs to
+ * @param {string} params.deviceId - Device ID
+ * @param {string} params.ip - IP address the code was requested from
+ * @param {string} params.description - Event description ("OTP sent", "OTP resent")
+ */
+const queueCode = async (
+  repos,
+  { purpose, channel, target, otp, locale, tokenId, deviceId, ip, description }
+) => {
+  const fallbackChannel = FALLBACK_CHANNELS[channel];
+  // Shared by every message delivering this code, so the code counts once
+  const codeId = randomUUID();
+  let fallback;
+  if (config.OTP_CHANNEL_FALLBACK && fallbackChannel && canReach(fallbackChannel, target)) {
+    fallback = buildMessage(fallbackChannel, { purpose, target, otp, locale });
+  }
+
+  for (const single of deliveryChannels(channel, target)) {
+    await enqueueMessage(repos, {
+      ...buildMessage(single, { purpose, target, otp, locale }),
+      // Codes were requested by the recipient, so they are sent even after STOP
+      meta: {
+        purpose,
+        tokenId,
+        codeId,
+        deviceId,
+        ip,
+        description,
+        locale,
+        fallback,
+        essential: true,
+      },
+    });
+  }
+};
+
+/**
+ * Run work against repositories bound to the given transaction, or to a new one.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} [tx] - Caller's Prisma transaction client
+ * @param {Function} work - async (repos) => result
+ * @returns {Promise<*>} Result of work
+ */
+const inTransaction = (fastify, tx, work) =>
+  tx
+    ? work(fastify.reposFor(tx))
+    : fastify.prisma.$transaction((newTx) => work(fastify.reposFor(newTx)));
+
+/**
+ * Issue a new code for a purpose and deliver it.
+ *
+ * The token (a keyed hash of the code) and the outbox messages delivering it
+ * are written in one transaction, so a code is only sent for a token that
+ * exists, and the request does not wait for the SMS/email provider. Pass the
+ * caller's `tx` to make them part of a larger transaction; the caller then
+ * wakes the dispatcher (fastify.outbox.wake()) once it has committed.
+ *
+ * @function
+ * @param {Object} request - Fastify request object
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} params
+ * @param {string} params.purpose - One of OTP_PURPOSES
+ * @param {string} [params.channel="sms"] - One of OTP_CHANNELS
+ * @param {Object} params.target - { phone, email } the code is for
+ * @param {string} params.deviceId - Device the code is bound to
+ * @param {string} [params.deviceFingerprint] - Fingerprint of that device
+ * @param {string} [params.locale] - Customer's preferred locale, else Accept-Language
+ * @param {Object} [params.tx] - Prisma transaction client to write in
+ * @returns {Promise<Object>} { tokenId, expiresAt, remainingQuota, channel }
+ * @throws {OtpFlowError} If the purpose/channel is unsupported or unreachable, a code for the
+ * purpose was sent within the cooldown or the daily limit is reached
+ *
+ * @example
+ * const { expiresAt } = await issue(request, fastify, {
+ *   purpose: OTP_PURPOSES.PASSWORD_RESET,
+ *   channel: OTP_CHANNELS.EMAIL,
+ *   target: { phone: customer.phone, email: customer.email },
+ *   deviceId,
+ * });
+ */
+export const issue = async (
+  request,
+  fastify,
+  { purpose, channel = OTP_CHANNELS.SMS, target, deviceId, deviceFingerprint, locale, tx }
+) => {
+  assertSupported(purpose, channel);
+  assertReachable(channel, target);
+
+  const logger = request.log;
+
+  const { remainingQuota } = await enforceSendLimits(request, fastify, {
+    purpose,
+    target,
+    deviceId,
+  });
+
+  const otp = generateOTP();
+  const tokenId = randomUUID();
+  const expiresAt = new Date(Date.now() + OTP_EXPIRY_TIME);
+  const channels = deliveryChannels(channel, target);
+  const tokenType = channels.length > 1 ? OTP_CHANNELS.BOTH : channels[0];
+
+  await inTransaction(fastify, tx, async (repos) => {
+    await repos.registrationTokens.create({
+      id: tokenId,
+      phone: target.phone ?? "",
+      email: target.email,
+      tokenHash: hashOtp(otp),
+      tokenType,
+      ip: request.ip,
+      deviceFingerprint,
+      expiresAt,
+      status: "pending",
+      purpose,
+      devicesId: deviceId,
+    });
+
+    await queueCode(repos, {
+      purpose,
+      channel,
+      target,
+      otp,
+      locale: resolveLocale({
+        preferred: locale,
+        acceptLanguage: request.headers?.["accept-language"],
+      }),
+      tokenId,
+      deviceId,
+      ip: request.ip,
+      description: "OTP sent",
+    });
+  });
+
+  if (!tx) {
+    fastify.outbox.wake();
+  }
+
+  logger.info({ tokenId, purpose, channel: tokenType, expiresAt }, "OTP issued");
+
+  return {
+    tokenId,
+    expiresAt,
+    remainingQuota,
+    channel: tokenType,
+  };
+};
+
+/**
+ * Verify a code for a purpose.
+ *
+ * Only a pending, unexpired code issued for the same purpose, target and device
+ * is considered, so a code issued for another purpose is never accepted. The
+ * target must include the destination the code was delivered to (the phone for
+ * sms/voice, the email for email), and when the client names a channel it must
+ * be one the code went out on. Every guess uses up one attempt, taken before the
+ * code is compared; once attempts are exhausted the code is locked.
+ *
+ * @function
+ * @param {Object} request - Fastify request object
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} params
+ * @param {string} params.purpose - One of OTP_PURPOSES
+ * @param {Object} params.target - { phone, email } the code was issued for
+ * @param {string} params.deviceId - Device the code is bound to
+ * @param {string} params.otp - Code submitted by the client
+ * @param {string} [params.channel] - Channel the client received the code on
+ * @param {string} [params.verifiedByUserId] - Customer verifying the code
+ * @returns {Promise<Object>} The verified token record
+ * @throws {OtpFlowError} OTP_NOT_FOUND, OTP_ATTEMPTS_EXCEEDED or INVALID_OTP
+ *
+ * @example
+ * await verify(request, fastify, {
+ *   purpose: OTP_PURPOSES.REGISTRATION,
+ *   target: { phone, email },
+ *   deviceId,
+ *   otp,
+ * });
+ */
+export const verify = async (
+  request,
+  fastify,
+  { purpose, target, deviceId, otp, channel, verifiedByUserId }
+) => {
+  assertSupported(purpose, channel);
+
+  const { registrationTokens: tokenRepo } = fastify.repos;
+  const logger = request.log;
+
+  const tokenRecord = await tokenRepo.findActiveToken({
+    phone: target.phone,
+    email: target.email,
+    deviceId,
+    purpose,
+  });
+
+  const sentToTarget =
+    tokenRecord &&
+    [OTP_CHANNELS.SMS, OTP_CHANNELS.EMAIL, OTP_CHANNELS.VOICE].some(
+      (single) => wasSentOver(tokenRecord.tokenType, single) && canReach(single, target)
+    );
+  const channelMatches =
+    !channel || channel === OTP_CHANNELS.BOTH || wasSentOver(tokenRecord?.tokenType, channel);
+
+  if (!tokenRecord || !sentToTarget || !channelMatches) {
+    logger.warn(
+      { purpose, deviceId, channel, tokenType: tokenRecord?.tokenType },
+      "No active OTP found"
+    );
+    throw new OtpFlowError("OTP not found or expired", {
+      statusCode: 400,
+      error: "OTP_NOT_FOUND",
+      message: "Verification code not found or expired",
+    });
+  }
+
+  // Take the attempt before comparing the code; a guess is only compared once
+  // the counter has room for it
+  if (!(await tokenRepo.incrementAttempts(tokenRecord.id, tokenRecord.maxAttempts))) {
+    await tokenRepo.updateToken(tokenRecord.id, { status: "locked" });
+    logger.warn({ tokenId: tokenRecord.id, purpose }, "OTP max attempts exceeded");
+    throw new OtpFlowError("OTP max attempts exceeded", {
+      statusCode: 429,
+      error: "OTP_ATTEMPTS_EXCEEDED",
+      message: "Too many verification attempts",
+    });
+  }
+
+  if (!verifyOtp(otp, tokenRecord.tokenHash)) {
+    throw new OtpFlowError("Invalid OTP", {
+      statusCode: 400,
+      error: "INVALID_OTP",
+      message: "Invalid verification code",
+    });
+  }
+
+  await tokenRepo.markVerified(tokenRecord.id, verifiedByUserId);
+
+  logger.info({ tokenId: tokenRecord.id, purpose }, "OTP verified");
+
+  return tokenRecord;
+};
+
+/**
+ * Replace the pending code for a purpose with a new one.
+ *
+ * Each resend waits an escalating cooldown (see OTP_RESEND_COOLDOWNS_SECONDS)
+ * and counts towards the daily quotas. The new code is queued in the outbox
+ * over the requested channel, or the original one when none is given, in the
+ * same transaction that updates the token.
+ *
+ * @function
+ * @param {Object} request - Fastify request object
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} params
+ * @param {string} params.purpose - One of OTP_PURPOSES
+ * @param {Object} params.target - { phone, email } the code was issued for
+ * @param {string} params.deviceId - Device the code is bound to
+ * @param {string} [params.channel] - One of OTP_CHANNELS, defaults to the original channel
+ * @param {string} [params.locale] - Customer's preferred locale, else Accept-Language
+ * @returns {Promise<Object>} { isNew, expiresAt, remainingQuota, nextResendAt, channel }
+ * @throws {OtpFlowError} CHANNEL_UNAVAILABLE, TOKEN_NOT_FOUND, OTP_COOLDOWN_PERIOD or OTP_DAILY_LIMIT
+ */
+export const resend = async (request, fastify, { purpose, target, deviceId, channel, locale }) => {
+  assertSupported(purpose, channel);
+
+  const { registrationTokens: tokenRepo } = fastify.repos;
+  const logger = request.log;
+
+  const existingToken = await tokenRepo.findByCustomerAndDetails({
+    phone: target.phone,
+    email: target.email,
+    deviceId,
+    purpose,
+  });
+
+  if (!existingToken) {
+    logger.warn({ purpose, deviceId }, "No OTP token found for customer");
+    throw new OtpFlowError("No OTP token found for this customer", {
+      statusCode: 404,
+      error: "TOKEN_NOT_FOUND",
+      message: "No OTP token found for this customer",
+    });
+  }
+
+  const requestedChannel = channel ?? existingToken.tokenType;
+  assertReachable(requestedChannel, target);
+
+  const { remainingQuota, nextResendAt } = await enforceSendLimits(request, fastify, {
+    purpose,
+    target,
+    deviceId,
+  });
+
+  const otp = generateOTP();
+  const expiresAt = new Date(Date.now() + OTP_EXPIRY_TIME);
+  const channels = deliveryChannels(requestedChannel, target);
+  const tokenType = channels.length > 1 ? OTP_CHANNELS.BOTH : channels[0];
+
+  await inTransaction(fastify, undefined, async (repos) => {
+    await repos.registrationTokens.updateToken(existingToken.id, {
+      // Clears any plaintext code left on tokens issued before OTPs were peppered
+      token: null,
+      tokenHash: hashOtp(otp),
+      tokenType,
+      expiresAt,
+      attempts: 0,
+    });
+
+    await queueCode(repos, {
+      purpose,
+      channel: requestedChannel,
+      target,
+      otp,
+      locale: resolveLocale({
+        preferred: locale,
+        acceptLanguage: request.headers?.["accept-language"],
+      }),
+      tokenId: existingToken.id,
+      deviceId,
+      ip: request.ip,
+      description: "OTP resent",
+    });
+  });
+
+  fastify.outbox.wake();
+
+  logger.info(
+    { tokenId: existingToken.id, purpose, channel: tokenType, expiresAt },
+    "New OTP generated and queued"
+  );
+
+  return {
+    isNew: true,
+    expiresAt,
+    remainingQuota,
+    nextResendAt,
+    channel: tokenType,
+  };
+};
@@ -0,0 +1,121 @@
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert";
+import { verify, OTP_PURPOSES } from "./otp-service.js";
+import { hashOtp } from "../utils/crypto.js";
+
+describe("OTP Service - verify", () => {
+  let mockRequest;
+  let mockFastify;
+  let tokenRecord;
+  let tokenRepo;
+
+  const verifyCode = (otp) =>
+    verify(mockRequest, mockFastify, {
+      purpose: OTP_PURPOSES.REGISTRATION,
+      target: { phone: "+61412345678" },
+      deviceId: "device-123",
+      otp,
+    });
+
+  beforeEach(() => {
+    tokenRecord = {
+      id: "token-1",
+      tokenHash: hashOtp("123456"),
+      tokenType: "sms",
+      purpose: OTP_PURPOSES.REGISTRATION,
+      status: "pending",
+      attempts: 0,
+      maxAttempts: 3,
+    };
+
+    // Takes an attempt only while the counter is below the limit, like the conditional update
+    tokenRepo = {
+      findActiveToken: mock.fn(async () => (tokenRecord.status === "pending" ? tokenRecord : null)),
+      incrementAttempts: mock.fn(async (id, maxAttempts) => {
+        if (tokenRecord.attempts >= maxAttempts) {
+          return false;
+        }
+        tokenRecord.attempts += 1;
+        return true;
+      }),
+      updateToken: mock.fn(async (id, data) => Object.assign(tokenRecord, data)),
+      markVerified: mock.fn(async () => {
+        tokenRecord.status = "verified";
+      }),
+    };
+
+    mockFastify = { repos: { registrationTokens: tokenRepo } };
+
+    mockRequest = {
+      log: {
+        info: mock.fn(),
+        warn: mock.fn(),
+        error: mock.fn(),
+      },
+      ip: "192.168.1.100",
+    };
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  test("Should verify the right code and use up one attempt", async () => {
+    const result = await verifyCode("123456");
+
+    assert.strictEqual(result.id, "token-1");
+    assert.strictEqual(tokenRecord.status, "verified");
+    assert.strictEqual(tokenRecord.attempts, 1);
+  });
+
+  test("Should count a wrong code as an attempt", async () => {
+    await assert.rejects(verifyCode("000000"), (error) => error.details.error === "INVALID_OTP");
+
+    assert.strictEqual(tokenRecord.attempts, 1);
+    assert.strictEqual(tokenRecord.status, "pending");
+  });
+
+  test("Should lock the code once its attempts are used up", async () => {
+    for (let i = 0; i < tokenRecord.maxAttempts; i++) {
+      await assert.rejects(verifyCode("000000"), (error) => error.details.error === "INVALID_OTP");
+    }
+
+    await assert.rejects(
+      verifyCode("123456"),
+      (error) => error.statusCode === 429 && error.details.error === "OTP_ATTEMPTS_EXCEEDED"
+    );
+    assert.strictEqual(tokenRecord.status, "locked");
+    assert.strictEqual(tokenRepo.markVerified.mock.calls.length, 0);
+  });
+
+  test("Should not let parallel guesses exceed the attempt limit", async () => {
+    const results = await Promise.allSettled(
+      Array.from({ length: 10 }, () => verifyCode("000000"))
+    );
+    const errors = results.map((result) => result.reason.details.error);
+
+    assert.strictEqual(errors.filter((error) => error === "INVALID_OTP").length, 3);
+    assert.strictEqual(errors.filter((error) => error === "OTP_ATTEMPTS_EXCEEDED").length, 7);
+    assert.strictEqual(tokenRecord.attempts, 3);
+  });
+
+  test("Should pass the token's limit to the conditional increment", async () => {
+    await verifyCode("123456");
+
+    assert.deepStrictEqual(tokenRepo.incrementAttempts.mock.calls[0].arguments, ["token-1", 3]);
+  });
+
+  test("Should not accept a code sent over another channel", async () => {
+    await assert.rejects(
+      verify(mockRequest, mockFastify, {
+        purpose: OTP_PURPOSES.REGISTRATION,
+        target: { phone: "+61412345678" },
+        deviceId: "device-123",
+        otp: "123456",
+        channel: "email",
+      }),
+      (error) => error.details.error === "OTP_NOT_FOUND"
+    );
+    assert.strictEqual(tokenRepo.incrementAttempts.mock.calls.length, 0);
+  });
+});
@@ -0,0 +1,221 @@
+// Node.js built-in
+import { randomUUID } from "crypto";
+
+// Custom error classes
+import { AuthFlowError } from "../custom-error/flow/auth-flow.js";
+
+// Utility functions
+import { checkPasswordPolicy, hashPassword } from "../utils/password.js";
+import { deviceValidation } from "../utils/device-validation.js";
+import { emailValidation } from "../utils/email-validation.js";
+import { phoneValidation } from "../utils/phone-validation.js";
+
+// OTP service
+import * as otpService from "./otp-service.js";
+
+// Constants
+const PURPOSE = otpService.OTP_PURPOSES.PASSWORD_RESET;
+
+// Same response whether or not the email/phone is registered
+const GENERIC_RESPONSE = {
+  message: "If an account matches, a verification code has been sent",
+};
+
+const invalidCodeError = () =>
+  new AuthFlowError("Invalid or expired verification code", {
+    statusCode: 400,
+    error: "INVALID_CODE",
+    message: "Invalid or expired verification code",
+  });
+
+/**
+ * Request a password reset code.
+ *
+ * Looks the customer up by email or phone and sends a password reset OTP to the
+ * channel used in the request. The response is identical whether or not the
+ * customer exists, and repeated requests inside the OTP service's cooldown do not send
+ * a new code.
+ *
+ * @function
+ * @param {Object} request - Fastify request object
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<Object>} Generic acknowledgement message
+ * @throws {AuthFlowError} If neither email nor phone is provided
+ * @throws {BlockedError} If the device, phone or email is blocked
+ *
+ * @example
+ * const result = await requestPasswordReset(request, fastify);
+ * // Returns: { message: "If an account matches, a verification code has been sent" }
+ */
+export const requestPasswordReset = async (request, fastify) => {
+  const { customer: customerRepo, registrationAttempt: attemptRepo } = fastify.repos;
+  const logger = request.log;
+  const { email, phone, deviceId } = request.body;
+  const ip = request.ip;
+
+  if (!email && !phone) {
+    throw new AuthFlowError("Missing required fields: email or phone", {
+      statusCode: 400,
+      error: "INVALID_REQUEST",
+      message: "Either email or phone is required",
+    });
+  }
+
+  const existingDevice = await deviceValidation(request, fastify);
+  await phoneValidation(request, fastify);
+  await emailValidation(request, fastify);
+
+  const customer = email
+    ? await customerRepo.findByEmail(email)
+    : await customerRepo.findByPhone(phone);
+
+  await attemptRepo.create({
+    id: randomUUID(),
+    phone,
+    email,
+    ip,
+    deviceId,
+    action: "password_reset_request",
+    result: customer?.isActive ? "initiated" : "failed",
+    reason: customer?.isActive ? undefined : "Customer not found or inactive",
+    devicesId: deviceId,
+  });
+
+  if (!customer || !customer.isActive) {
+    logger.info({ email, phone }, "Password reset requested for unknown or inactive customer");
+    return GENERIC_RESPONSE;
+  }
+
+  const channel = email ? otpService.OTP_CHANNELS.EMAIL : otpService.OTP_CHANNELS.SMS;
+
+  try {
+    await otpService.issue(request, fastify, {
+      purpose: PURPOSE,
+      channel,
+      target: { phone: customer.phone, email: customer.email },
+      deviceId,
+      deviceFingerprint: existingDevice.deviceFingerprint,
+      locale: customer.locale,
+    });
+  } catch (error) {
+    if (error.name !== "OtpFlowError") {
+      throw error;
+    }
+
+    // Cooldowns, limits and delivery problems are logged by the OTP service and not
+    // revealed to the caller
+    return GENERIC_RESPONSE;
+  }
+
+  logger.info({ customerId: customer.id, channel }, "Password reset code sent");
+
+  return GENERIC_RESPONSE;
+};
+
+/**
+ * Reset a password with a password reset code.
+ *
+ * Verifies the OTP issued by {@link requestPasswordReset} on the same device,
+ * replaces the password hash and revokes every existing session of the customer.
+ * Unknown accounts and wrong codes produce the same error.
+ *
+ * @function
+ * @param {Object} request - Fastify request object
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<Object>} Confirmation message
+ * @throws {AuthFlowError} If the new password breaks the policy, or the code is invalid,
+ * expired or attempts are exhausted
+ * @throws {BlockedError} If the device is blocked
+ *
+ * @example
+ * const result = await resetPassword(request, fastify);
+ * // Returns: { message: "Password has been reset" }
+ */
+export const resetPassword = async (request, fastify) => {
+  const {
+    customer: customerRepo,
+    registrationAttempt: attemptRepo,
+    refreshToken: refreshTokenRepo,
+  } = fastify.repos;
+  const logger = request.log;
+  const { email, phone, otp, newPassword, deviceId } = request.body;
+  const ip = request.ip;
+
+  if (!email && !phone) {
+    throw new AuthFlowError("Missing required fields: email or phone", {
+      statusCode: 400,
+      error: "INVALID_REQUEST",
+      message: "Either email or phone is required",
+    });
+  }
+
+  // Reject a weak password before the code is spent
+  const policy = checkPasswordPolicy(newPassword);
+  if (!policy.valid) {
+    throw new AuthFlowError("New password does not meet the password policy", {
+      statusCode: 400,
+      error: "WEAK_PASSWORD",
+      message: policy.errors.join(". "),
+    });
+  }
+
+  await deviceValidation(request, fastify);
+
+  const recordAttempt = (result, reason) =>
+    attemptRepo.create({
+      id: randomUUID(),
+      phone,
+      email,
+      ip,
+      deviceId,
+      action: "password_reset",
+      result,
+      reason,
+      devicesId: deviceId,
+    });
+
+  const customer = email
+    ? await customerRepo.findByEmail(email)
+    : await customerRepo.findByPhone(phone);
+
+  if (!customer || !customer.isActive) {
+    await recordAttempt("failed", "Customer not found or inactive");
+    throw invalidCodeError();
+  }
+
+  try {
+    await otpService.verify(request, fastify, {
+      purpose: PURPOSE,
+      target: { phone: customer.phone, email: customer.email },
+      deviceId,
+      otp,
+      verifiedByUserId: customer.id,
+    });
+  } catch (error) {
+    if (error.name !== "OtpFlowError") {
+      throw error;
+    }
+
+    await recordAttempt("failed", error.details.message);
+
+    if (error.details.error === "OTP_ATTEMPTS_EXCEEDED") {
+      throw new AuthFlowError("Too many verification attempts", {
+        statusCode: 429,
+        error: "TOO_MANY_ATTEMPTS",
+        message: "Too many verification attempts, please request a new code",
+      });
+    }
+
+    throw invalidCodeError();
+  }
+
+  await customerRepo.updatePasswordHash(customer.id, await hashPassword(newPassword));
+  const revokedTokens = await refreshTokenRepo.revokeAllForCustomer(customer.id, "password_reset");
+  await recordAttempt("success");
+
+  logger.info({ customerId: customer.id, revokedTokens }, "Password reset completed");
+
+  return {
+    message: "Password has been reset",
+  };
+};
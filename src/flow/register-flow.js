@@ -4,125 +4,306 @@ import { randomUUID } from "crypto";
 // Custom error classes
 import { RegistrationFlowError } from "../custom-error/index.js";
 
-// Third-party/infra services
-import { sendSms } from "../lib/send-sms.js";
-import { sendEmail } from "../lib/send-email.js";
-
 // Utility functions
-import { generateOTP } from "../utils/otp.js";
-import { hash } from "../utils/crypto.js";
+import { hashPassword } from "../utils/password.js";
 import { deviceValidation } from "../utils/device-validation.js";
-import { customerIdGenerator } from "../utils/customer-id-generator.js";
+import { emailValidation } from "../utils/email-validation.js";
+import { canonicalEmail } from "../utils/email.js";
+import { generateId, ID_PREFIXES, insertWithUniqueId } from "../utils/random.js";
+
+// Message templates
+import { resolveLocale } from "../lib/templates.js";
+
+// OTP service
+import * as otpService from "./otp-service.js";
+
+// Duplicate checks
+import {
+  enforceLookupLimit,
+  findIdentifierOwners,
+  takenError,
+  takenIdentifierOf,
+} from "./registration-check-flow.js";
+
+// Registration sessions
+import {
+  REGISTRATION_STATES,
+  isOpen,
+  refreshSession,
+  sessionExpiry,
+  transitionSession,
+} from "./registration-session-flow.js";
 
 /**
  * User registration flow
- * Validates registration request and creates registration attempt record
+ * Validates registration request and creates registration attempt record.
+ *
+ * Registering again with the email/phone of an unfinished registration picks it
+ * up: from the same device with the same details its session is resumed (the
+ * code already sent stays valid, or a new one is sent), otherwise the old session
+ * is abandoned and a new one started for the same customer record.
  * @param {Object} request - Fastify request object
  * @param {Object} fastify - Fastify instance
- * @returns {Promise<Object>} Created registration attempt
+ * @returns {Promise<Object>} { success, customerId, registrationId, status, resumed }
  * @throws {DeviceFlowError} If device does not exist
+ * @throws {BlockedError} If the email or its domain is blocked (recorded as a failed attempt)
+ * @throws {RegistrationFlowError} EMAIL_TAKEN/PHONE_TAKEN (409, recorded as a failed attempt)
+ * or TOO_MANY_LOOKUPS (429)
+ * @throws {OtpFlowError} If an OTP sending limit applies (429)
  * @throws {Error} If required fields are missing
  */
 export const userRegister = async (request, fastify) => {
   try {
     const logger = request.log;
-    const { phone, email, deviceId, firstName, lastName, password } = request.body;
+    const {
+      phone,
+      email,
+      deviceId,
+      firstName,
+      lastName,
+      password,
+      channel = otpService.OTP_CHANNELS.SMS,
+    } = request.body;
     const ip = request.ip;
+    const {
+      customer: customerRepo,
+      registrationAttempt: attemptRepo,
+      registrationSessions: sessionRepo,
+      registrationTokens: tokenRepo,
+    } = fastify.repos;
 
-    /** 1. Device validation */
-    const existingDevice = await deviceValidation(request, fastify);
-
-    /** 2. Generate IDs and OTP */
     const attemptId = randomUUID();
-    const tokenId = randomUUID();
-    const otp = generateOTP();
-
-    /** 3. Send OTP first (before DB transaction) */
-    try {
-      await sendSms({
-        phoneNumber: phone,
-        message: `Your one time password is ${otp}`,
+    const recordAttempt = (result, reason) =>
+      attemptRepo.create({
+        id: attemptId,
+        phone,
+        email,
+        ip,
+        deviceId,
+        action: "send_token",
+        result,
+        reason,
+        devicesId: deviceId,
       });
+    const recordFailure = (reason) => recordAttempt("failed", reason);
 
-      await sendEmail({
-        emailAddress: email,
-        message: `Your one time password is ${otp}`,
-      });
+    /** 1. Device validation and lookup limit */
+    const existingDevice = await deviceValidation(request, fastify);
+    await enforceLookupLimit(request, fastify, { deviceId });
+
+    /** 2. Email validation */
+    try {
+      await emailValidation(request, fastify);
     } catch (error) {
-      logger.error({ error }, "Failed to send OTP");
-      throw new RegistrationFlowError("Failed to send verification code");
+      if (error.name === "BlockedAccountError") {
+        await recordFailure(error.reason ?? error.message);
+        logger.warn({ attemptId, email, reason: error.reason }, "Registration email rejected");
+      }
+      throw error;
     }
 
-    /** 4. Create all records in a transaction (atomic operation) */
-    const newCustomer = await fastify.prisma.$transaction(async (tx) => {
-      // 4.1 Create registration attempt
-      await tx.registration_attempts.create({
-        data: {
-          id: attemptId,
-          phone,
-          email,
-          ip,
-          deviceId,
-          action: "send_token",
-          result: "initiated",
-          devicesId: deviceId,
-        },
-      });
+    /** 3. Duplicate check before anything is written or sent */
+    const {
+      taken: [taken],
+      pendingCustomer,
+    } = await findIdentifierOwners(fastify, { email, phone });
+    if (taken) {
+      const error = takenError(taken);
+      await recordFailure(error.details.error);
+      logger.info({ attemptId, taken }, "Registration for existing customer");
+      throw error;
+    }
 
-      // 4.2 Create registration token
-      await tx.registration_tokens.create({
-        data: {
-          id: tokenId,
-          phone,
-          email,
-          token: otp,
-          tokenHash: hash(otp),
-          tokenType: "sms",
-          ip,
-          deviceFingerprint: existingDevice.deviceFingerprint,
-          expiresAt: new Date(Date.now() + 5 * 60 * 1000), // 5 min
-          status: "pending",
-          devicesId: deviceId,
-        },
-      });
+    /** 4. Generate password hash */
+    const passwordHash = await hashPassword(password);
+    // Saved as the customer's message language until they change it
+    const locale = resolveLocale({ acceptLanguage: request.headers?.["accept-language"] });
 
-      // 4.3 Record SMS event
-      await tx.sms_events.create({
-        data: {
-          id: randomUUID(),
-          phone,
-          direction: "outbound",
-          status: "sent",
-          message: "OTP sent",
-          devicesId: deviceId,
-        },
-      });
+    /** 5. Unfinished registration of this email/phone (none if made before sessions existed) */
+    const latestSession =
+      pendingCustomer && (await sessionRepo.findLatestByCustomer(pendingCustomer.id));
+    const previousSession = latestSession && (await refreshSession(fastify.repos, latestSession));
+    const resumable =
+      previousSession &&
+      [REGISTRATION_STATES.INITIATED, REGISTRATION_STATES.OTP_SENT].includes(
+        previousSession.status
+      ) &&
+      previousSession.email === email &&
+      previousSession.phone === phone &&
+      previousSession.devicesId === deviceId;
 
-      // 4.4 Create customer (inactive until verification)
-      return await tx.customers.create({
-        data: {
-          id: customerIdGenerator(),
+    // 5.1 The code already sent is still valid: keep it, only take the new details
+    if (resumable && previousSession.channel === channel && previousSession.tokenId) {
+      const activeToken = await tokenRepo.findActiveToken({ phone, email, deviceId });
+
+      if (activeToken?.id === previousSession.tokenId) {
+        await customerRepo.update(pendingCustomer.id, {
           firstName,
           lastName,
-          phone,
-          email,
-          passwordHash: hash(password),
-          isActive: false,
-          devices: {
-            connect: { id: deviceId },
-          },
-        },
-      });
-    });
+          passwordHash,
+          locale,
+        });
+        await recordAttempt("resumed");
 
-    logger.info({ attemptId, tokenId, phone }, "Registration token created and OTP sent");
+        logger.info(
+          { attemptId, registrationId: previousSession.id },
+          "Registration resumed with the OTP already sent"
+        );
 
-    // 7. finish
+        return {
+          success: true,
+          customerId: pendingCustomer.id,
+          registrationId: previousSession.id,
+          status: previousSession.status,
+          resumed: true,
+        };
+      }
+    }
+
+    /**
+     * 6. Create all records in a transaction (atomic operation), retried on customer ID collision.
+     * The OTP is queued in the outbox inside the same transaction and only sent once it commits.
+     */
+    let tokenId;
+    const registration = await insertWithUniqueId(
+      () => generateId(ID_PREFIXES.customer),
+      (customerId) =>
+        fastify.prisma.$transaction(async (tx) => {
+          const repos = fastify.reposFor(tx);
+
+          // 6.1 Create registration attempt
+          await tx.registration_attempts.create({
+            data: {
+              id: attemptId,
+              phone,
+              email,
+              ip,
+              deviceId,
+              action: "send_token",
+              result: "initiated",
+              devicesId: deviceId,
+            },
+          });
+
+          // 6.2 Create customer (inactive until verification), or reuse the unfinished one
+          if (previousSession && isOpen(previousSession) && !resumable) {
+            await transitionSession(repos, previousSession, REGISTRATION_STATES.ABANDONED);
+          }
+
+          let customer;
+          if (pendingCustomer) {
+            customer = await tx.customers.update({
+              where: { id: pendingCustomer.id },
+              data: {
+                firstName,
+                lastName,
+                phone,
+                email,
+                emailCanonical: canonicalEmail(email),
+                passwordHash,
+                locale,
+                updatedAt: new Date(),
+                devices: {
+                  connect: { id: deviceId },
+                },
+              },
+            });
+          } else {
+            customer = await tx.customers.create({
+              data: {
+                id: customerId,
+                firstName,
+                lastName,
+                phone,
+                email,
+                emailCanonical: canonicalEmail(email),
+                passwordHash,
+                locale,
+                isActive: false,
+                devices: {
+                  connect: { id: deviceId },
+                },
+              },
+            });
+          }
+
+          // 6.3 Start a registration session, or continue the resumed one
+          let session = previousSession;
+          if (!resumable) {
+            session = await repos.registrationSessions.create({
+              id: randomUUID(),
+              customerId: customer.id,
+              email,
+              phone,
+              deviceId,
+              channel,
+              expiresAt: sessionExpiry(),
+            });
+          }
+
+          // 6.4 Issue the OTP and queue it for delivery
+          ({ tokenId } = await otpService.issue(request, fastify, {
+            purpose: otpService.OTP_PURPOSES.REGISTRATION,
+            channel,
+            target: { phone, email },
+            deviceId,
+            deviceFingerprint: existingDevice.deviceFingerprint,
+            locale,
+            tx,
+          }));
+
+          return {
+            customer,
+            session: await transitionSession(repos, session, REGISTRATION_STATES.OTP_SENT, {
+              tokenId,
+              channel,
+            }),
+          };
+        })
+    );
+
+    /** 7. Deliver the queued OTP without waiting for the provider */
+    fastify.outbox.wake();
+
+    logger.info(
+      {
+        attemptId,
+        tokenId,
+        phone,
+        registrationId: registration.session.id,
+        restarted: Boolean(previousSession) && !resumable,
+      },
+      "Registration token created and OTP queued"
+    );
+
+    // 8. finish
     return {
       success: true,
-      customerId: newCustomer.id,
+      customerId: registration.customer.id,
+      registrationId: registration.session.id,
+      status: registration.session.status,
+      resumed: Boolean(resumable),
     };
   } catch (error) {
+    // Sending limits are reported as they are so the client can show when to retry
+    if (error.name === "OtpFlowError" && error.statusCode === 429) {
+      throw error;
+    }
+
+    if (error.name === "RegistrationFlowError") {
+      throw error;
+    }
+
+    // Registered concurrently between the duplicate check and the insert
+    const taken = takenIdentifierOf(error);
+    if (taken) {
+      throw takenError(taken);
+    }
+
+    if (error.name === "OtpFlowError") {
+      throw new RegistrationFlowError(error.details.message);
+    }
+
     throw new RegistrationFlowError(error.message);
   }
 };
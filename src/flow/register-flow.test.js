@@ -1,8 +1,7 @@
 import { test, describe, beforeEach, afterEach, mock } from "node:test";
 import assert from "node:assert";
-import { randomUUID } from "crypto";
 import { userRegister } from "./register-flow.js";
-import { hash } from "../utils/crypto.js";
+import { verifyPassword } from "../utils/password.js";
 
 describe("Registration Flow - userRegister", () => {
   let mockRequest;
@@ -17,6 +16,7 @@ describe("Registration Flow - userRegister", () => {
       registrationAttempts: [],
       registrationTokens: [],
       smsEvents: [],
+      outboxMessages: [],
       customers: [],
     };
 
@@ -30,18 +30,6 @@ describe("Registration Flow - userRegister", () => {
               return { ...data };
             }),
           },
-          registration_tokens: {
-            create: mock.fn(async ({ data }) => {
-              createdRecords.registrationTokens.push(data);
-              return { ...data };
-            }),
-          },
-          sms_events: {
-            create: mock.fn(async ({ data }) => {
-              createdRecords.smsEvents.push(data);
-              return { ...data };
-            }),
-          },
           customers: {
             create: mock.fn(async ({ data }) => {
               createdRecords.customers.push(data);
@@ -65,12 +53,47 @@ describe("Registration Flow - userRegister", () => {
       block: {
         findActive: mock.fn(async () => null),
       },
+      customer: {
+        findByCanonicalEmail: mock.fn(async () => null),
+        findByPhone: mock.fn(async () => null),
+      },
+      registrationAttempt: {
+        count: mock.fn(async () => 0),
+        create: mock.fn(async (data) => ({ ...data })),
+      },
+      registrationSessions: {
+        create: mock.fn(async (data) => ({ ...data, status: "initiated" })),
+        transition: mock.fn(async () => true),
+      },
+      registrationTokens: {
+        create: mock.fn(async (data) => {
+          createdRecords.registrationTokens.push(data);
+          return { ...data };
+        }),
+      },
+      smsEvents: {
+        create: mock.fn(async (data) => {
+          createdRecords.smsEvents.push(data);
+          return { ...data };
+        }),
+      },
+      outbox: {
+        getCodeSendStats: mock.fn(async () => ({ count: 0, firstSentAt: null, lastSentAt: null })),
+        create: mock.fn(async (data) => {
+          createdRecords.outboxMessages.push(data);
+          return { ...data };
+        }),
+      },
     };
 
     // Mock Fastify instance
     mockFastify = {
       prisma: mockPrisma,
       repos: mockRepos,
+      reposFor: mock.fn(() => mockRepos),
+      outbox: {
+        wake: mock.fn(),
+      },
     };
 
     // Mock request
@@ -97,25 +120,21 @@ describe("Registration Flow - userRegister", () => {
   });
 
   test("Should successfully register user with all required fields", async () => {
-    // Mock SMS and Email services
-    const originalSendSms = (await import("../lib/send-sms.js")).sendSms;
-    const originalSendEmail = (await import("../lib/send-email.js")).sendEmail;
-
-    mock.method(await import("../lib/send-sms.js"), "sendSms", async () => ({ success: true }));
-    mock.method(await import("../lib/send-email.js"), "sendEmail", async () => ({ success: true }));
-
     const result = await userRegister(mockRequest, mockFastify);
 
     // Verify return value
     assert.ok(result.success, "Should return success");
     assert.ok(result.customerId, "Should return customerId");
+    assert.ok(result.registrationId, "Should return registrationId");
+    assert.strictEqual(result.status, "otp_sent");
+    assert.strictEqual(result.resumed, false);
 
     // Verify device validation was called
     assert.strictEqual(mockRepos.device.findById.mock.calls.length, 1);
     assert.strictEqual(mockRepos.device.findById.mock.calls[0].arguments[0], "device-123");
 
-    // Verify block check was called
-    assert.strictEqual(mockRepos.block.findActive.mock.calls.length, 1);
+    // Verify device and email block checks were called
+    assert.strictEqual(mockRepos.block.findActive.mock.calls.length, 2);
 
     // Verify transaction was called
     assert.strictEqual(mockPrisma.$transaction.mock.calls.length, 1);
@@ -137,12 +156,12 @@ describe("Registration Flow - userRegister", () => {
     assert.strictEqual(token.phone, "+1234567890");
     assert.strictEqual(token.email, "test@example.com");
     assert.strictEqual(token.tokenType, "sms");
+    assert.strictEqual(token.purpose, "registration");
     assert.strictEqual(token.ip, "192.168.1.100");
     assert.strictEqual(token.deviceFingerprint, "test-fingerprint");
     assert.strictEqual(token.status, "pending");
-    assert.ok(token.token, "Should have OTP token");
-    assert.ok(token.tokenHash, "Should have hashed token");
-    assert.strictEqual(token.tokenHash, hash(token.token), "Token hash should match");
+    assert.strictEqual(token.token, undefined, "Should not store the plaintext OTP");
+    assert.match(token.tokenHash, /^hmac\$[0-9a-f]{64}$/, "Should store a keyed OTP hash");
     assert.ok(token.expiresAt instanceof Date, "Should have expiration date");
 
     // Verify SMS event was created
@@ -150,10 +169,20 @@ describe("Registration Flow - userRegister", () => {
     const smsEvent = createdRecords.smsEvents[0];
     assert.strictEqual(smsEvent.phone, "+1234567890");
     assert.strictEqual(smsEvent.direction, "outbound");
-    assert.strictEqual(smsEvent.status, "sent");
+    assert.strictEqual(smsEvent.status, "queued");
     assert.strictEqual(smsEvent.message, "OTP sent");
     assert.strictEqual(smsEvent.devicesId, "device-123");
 
+    // Verify the OTP was queued in the outbox inside the transaction and the dispatcher woken
+    assert.strictEqual(createdRecords.outboxMessages.length, 1);
+    const outboxMessage = createdRecords.outboxMessages[0];
+    assert.strictEqual(outboxMessage.channel, "sms");
+    assert.strictEqual(outboxMessage.recipient, "+1234567890");
+    assert.strictEqual(outboxMessage.eventId, smsEvent.id);
+    assert.strictEqual(outboxMessage.meta.tokenId, token.id);
+    assert.strictEqual(outboxMessage.ip, "192.168.1.100", "Sends are counted per IP");
+    assert.strictEqual(mockFastify.outbox.wake.mock.calls.length, 1);
+
     // Verify customer was created
     assert.strictEqual(createdRecords.customers.length, 1);
     const customer = createdRecords.customers[0];
@@ -161,9 +190,9 @@ describe("Registration Flow - userRegister", () => {
     assert.strictEqual(customer.lastName, "Doe");
     assert.strictEqual(customer.phone, "+1234567890");
     assert.strictEqual(customer.email, "test@example.com");
-    assert.strictEqual(customer.passwordHash, hash("SecurePass123!"));
+    assert.ok((await verifyPassword("SecurePass123!", customer.passwordHash)).valid);
     assert.strictEqual(customer.isActive, false, "Customer should be inactive until verification");
-    assert.strictEqual(customer.devicesId, "device-123");
+    assert.strictEqual(customer.devices.connect.id, "device-123");
   });
 
   test("Should validate all required fields are present", async () => {
@@ -188,9 +217,6 @@ describe("Registration Flow - userRegister", () => {
       },
     };
 
-    mock.method(await import("../lib/send-sms.js"), "sendSms", async () => ({ success: true }));
-    mock.method(await import("../lib/send-email.js"), "sendEmail", async () => ({ success: true }));
-
     const result = await userRegister(completeRequest, mockFastify);
     assert.ok(result.success);
   });
@@ -199,20 +225,15 @@ describe("Registration Flow - userRegister", () => {
     const password = "MySecurePassword123!";
     mockRequest.body.password = password;
 
-    mock.method(await import("../lib/send-sms.js"), "sendSms", async () => ({ success: true }));
-    mock.method(await import("../lib/send-email.js"), "sendEmail", async () => ({ success: true }));
-
     await userRegister(mockRequest, mockFastify);
 
     const customer = createdRecords.customers[0];
-    assert.strictEqual(customer.passwordHash, hash(password));
+    assert.ok((await verifyPassword(password, customer.passwordHash)).valid);
+    assert.match(customer.passwordHash, /^scrypt\$/, "Password should use scrypt");
     assert.notStrictEqual(customer.passwordHash, password, "Password should be hashed");
   });
 
   test("Should set token expiration to 5 minutes from now", async () => {
-    mock.method(await import("../lib/send-sms.js"), "sendSms", async () => ({ success: true }));
-    mock.method(await import("../lib/send-email.js"), "sendEmail", async () => ({ success: true }));
-
     const beforeTime = Date.now();
     await userRegister(mockRequest, mockFastify);
     const afterTime = Date.now();
@@ -238,9 +259,6 @@ describe("Registration Flow - userRegister", () => {
       isActive: true,
     }));
 
-    mock.method(await import("../lib/send-sms.js"), "sendSms", async () => ({ success: true }));
-    mock.method(await import("../lib/send-email.js"), "sendEmail", async () => ({ success: true }));
-
     await userRegister(mockRequest, mockFastify);
 
     const token = createdRecords.registrationTokens[0];
@@ -248,26 +266,25 @@ describe("Registration Flow - userRegister", () => {
   });
 
   test("Should generate unique IDs for all records", async () => {
-    mock.method(await import("../lib/send-sms.js"), "sendSms", async () => ({ success: true }));
-    mock.method(await import("../lib/send-email.js"), "sendEmail", async () => ({ success: true }));
-
     await userRegister(mockRequest, mockFastify);
 
     const ids = [
       createdRecords.registrationAttempts[0].id,
       createdRecords.registrationTokens[0].id,
       createdRecords.smsEvents[0].id,
-      createdRecords.customers[0].id,
+      createdRecords.outboxMessages[0].id,
     ];
+    const customerId = createdRecords.customers[0].id;
 
     // All IDs should be unique
-    const uniqueIds = new Set(ids);
-    assert.strictEqual(uniqueIds.size, ids.length, "All IDs should be unique");
+    const uniqueIds = new Set([...ids, customerId]);
+    assert.strictEqual(uniqueIds.size, ids.length + 1, "All IDs should be unique");
 
-    // All IDs should be valid UUIDs
+    // Record IDs should be valid UUIDs, customer IDs prefixed sortable IDs
     ids.forEach((id) => {
       assert.match(id, /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i);
     });
+    assert.match(customerId, /^cust_[0-9A-Z]{26}$/);
   });
 
   test("Should handle different phone and email combinations", async () => {
@@ -277,14 +294,12 @@ describe("Registration Flow - userRegister", () => {
       { phone: "+1112223333", email: "test@domain.org" },
     ];
 
-    mock.method(await import("../lib/send-sms.js"), "sendSms", async () => ({ success: true }));
-    mock.method(await import("../lib/send-email.js"), "sendEmail", async () => ({ success: true }));
-
     for (const testCase of testCases) {
       createdRecords = {
         registrationAttempts: [],
         registrationTokens: [],
         smsEvents: [],
+        outboxMessages: [],
         customers: [],
       };
 
@@ -0,0 +1,193 @@
+// Node.js built-in
+import { randomUUID } from "crypto";
+
+// Configuration
+import { config } from "../config/config.js";
+
+// Custom error classes
+import { RegistrationFlowError } from "../custom-error/index.js";
+
+// Utility functions
+import { deviceValidation } from "../utils/device-validation.js";
+
+// Attempts counted towards the lookup limit: availability checks and registrations
+const LOOKUP_ACTIONS = ["availability_check", "send_token"];
+
+// Error details per identifier already belonging to a customer
+const TAKEN = {
+  email: {
+    statusCode: 409,
+    error: "EMAIL_TAKEN",
+    message: "An account with this email address already exists",
+  },
+  phone: {
+    statusCode: 409,
+    error: "PHONE_TAKEN",
+    message: "An account with this phone number already exists",
+  },
+};
+
+/**
+ * Whether a customer is an unfinished registration: inactive and never verified
+ * (verification opens their account). Deactivated customers keep their account.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} customer - customers record
+ * @returns {Promise<boolean>}
+ */
+const isPendingRegistration = async (fastify, customer) =>
+  !customer.isActive && !(await fastify.repos.account.findByCustomerId(customer.id));
+
+/**
+ * Look up who holds an email address (or an alias of it) and phone number.
+ * Identifiers of an unfinished registration are not taken, registering again
+ * resumes or restarts it; unless email and phone belong to two different
+ * unfinished registrations.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} params
+ * @param {string} [params.email] - Normalised email address
+ * @param {string} [params.phone] - E.164 phone number
+ * @returns {Promise<Object>} { taken: "email" and/or "phone", pendingCustomer: unfinished
+ * registration holding the others, or null }
+ */
+export const findIdentifierOwners = async (fastify, { email, phone }) => {
+  const { customer: customerRepo } = fastify.repos;
+
+  const [emailOwner, phoneOwner] = await Promise.all([
+    email ? customerRepo.findByCanonicalEmail(email) : null,
+    phone ? customerRepo.findByPhone(phone) : null,
+  ]);
+
+  const taken = [];
+  let pendingCustomer = null;
+
+  for (const [identifier, owner] of [
+    ["email", emailOwner],
+    ["phone", phoneOwner],
+  ]) {
+    if (!owner) {
+      continue;
+    }
+
+    if (
+      (!pendingCustomer || pendingCustomer.id === owner.id) &&
+      (await isPendingRegistration(fastify, owner))
+    ) {
+      pendingCustomer = owner;
+      continue;
+    }
+
+    taken.push(identifier);
+  }
+
+  return { taken, pendingCustomer };
+};
+
+/**
+ * Error for an identifier that belongs to a customer (EMAIL_TAKEN or PHONE_TAKEN, 409)
+ * @param {string} identifier - "email" or "phone"
+ * @returns {RegistrationFlowError}
+ */
+export const takenError = (identifier) =>
+  new RegistrationFlowError(TAKEN[identifier].message, TAKEN[identifier]);
+
+/**
+ * Identifier behind a unique constraint violation on customers, if any
+ * @param {Error} error - Error thrown by Prisma
+ * @returns {string|null} "email", "phone" or null
+ */
+export const takenIdentifierOf = (error) => {
+  if (error?.code !== "P2002") {
+    return null;
+  }
+
+  const target = String(error.meta?.target ?? "");
+  return ["email", "phone"].find((identifier) => target.includes(identifier)) ?? null;
+};
+
+/**
+ * Limit email/phone lookups per IP and per device, so the availability answers
+ * cannot be used to enumerate customers. Counts availability checks and
+ * registration attempts within REGISTRATION_LOOKUP_WINDOW_MINUTES.
+ * @param {Object} request - Fastify request object
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} params
+ * @param {string} params.deviceId - Device making the request
+ * @throws {RegistrationFlowError} TOO_MANY_LOOKUPS (429)
+ */
+export const enforceLookupLimit = async (request, fastify, { deviceId }) => {
+  const { registrationAttempt: attemptRepo } = fastify.repos;
+  const since = new Date(Date.now() - config.REGISTRATION_LOOKUP_WINDOW_MINUTES * 60 * 1000);
+
+  const [byIp, byDevice] = await Promise.all([
+    attemptRepo.count({ ip: request.ip, actions: LOOKUP_ACTIONS, since }),
+    attemptRepo.count({ deviceId, actions: LOOKUP_ACTIONS, since }),
+  ]);
+
+  if (
+    byIp >= config.REGISTRATION_LOOKUP_LIMIT_PER_IP ||
+    byDevice >= config.REGISTRATION_LOOKUP_LIMIT_PER_DEVICE
+  ) {
+    request.log.warn({ ip: request.ip, deviceId, byIp, byDevice }, "Registration lookup limit");
+    throw new RegistrationFlowError("Too many registration lookups", {
+      statusCode: 429,
+      error: "TOO_MANY_LOOKUPS",
+      message: "Too many registration attempts, please try again later",
+    });
+  }
+};
+
+/**
+ * Registration availability check flow
+ * Tells the registration form whether an email address and/or phone number is
+ * still free (those of an unfinished registration are, registering resumes it).
+ * Requires an active device and is rate limited per IP and device; every check
+ * is recorded as an "availability_check" registration attempt.
+ * @param {Object} request - Fastify request object
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<Object>} { email: { available, error }, phone: { available, error } }
+ *   for the identifiers given
+ * @throws {BlockedError} If the device is unknown, inactive or blocked
+ * @throws {RegistrationFlowError} INVALID_REQUEST (400) or TOO_MANY_LOOKUPS (429)
+ */
+export const checkAvailability = async (request, fastify) => {
+  const { email, phone, deviceId } = request.body;
+  const { registrationAttempt: attemptRepo } = fastify.repos;
+  const logger = request.log;
+
+  if (!email && !phone) {
+    throw new RegistrationFlowError("Missing email or phone", {
+      statusCode: 400,
+      error: "INVALID_REQUEST",
+      message: "Either email or phone is required",
+    });
+  }
+
+  await deviceValidation(request, fastify);
+  await enforceLookupLimit(request, fastify, { deviceId });
+
+  const { taken } = await findIdentifierOwners(fastify, { email, phone });
+
+  await attemptRepo.create({
+    id: randomUUID(),
+    phone,
+    email,
+    ip: request.ip,
+    deviceId,
+    action: "availability_check",
+    result: taken.length > 0 ? "taken" : "available",
+    reason: taken.map((identifier) => TAKEN[identifier].error).join(",") || undefined,
+    devicesId: deviceId,
+  });
+
+  logger.info({ deviceId, taken }, "Registration availability checked");
+
+  const availability = (identifier) =>
+    taken.includes(identifier)
+      ? { available: false, error: TAKEN[identifier].error }
+      : { available: true };
+
+  return {
+    ...(email && { email: availability("email") }),
+    ...(phone && { phone: availability("phone") }),
+  };
+};
@@ -0,0 +1,139 @@
+// Configuration
+import { config } from "../config/config.js";
+
+// Custom error classes
+import { RegistrationFlowError } from "../custom-error/index.js";
+
+/**
+ * States of a registration session:
+ * initiated → otp_sent → verified → completed, or expired/abandoned from any open state
+ */
+export const REGISTRATION_STATES = {
+  INITIATED: "initiated",
+  OTP_SENT: "otp_sent",
+  VERIFIED: "verified",
+  COMPLETED: "completed",
+  EXPIRED: "expired",
+  ABANDONED: "abandoned",
+};
+
+const { INITIATED, OTP_SENT, VERIFIED, COMPLETED, EXPIRED, ABANDONED } = REGISTRATION_STATES;
+
+// States a registration can still move on from
+const OPEN_STATES = [INITIATED, OTP_SENT, VERIFIED];
+
+// States each state can be reached from (otp_sent again when a new code is issued)
+const TRANSITIONS = {
+  [OTP_SENT]: [INITIATED, OTP_SENT],
+  [VERIFIED]: [OTP_SENT],
+  [COMPLETED]: [VERIFIED],
+  [EXPIRED]: OPEN_STATES,
+  [ABANDONED]: OPEN_STATES,
+};
+
+// Timestamp set when a state is reached
+const REACHED_AT = {
+  [VERIFIED]: "verifiedAt",
+  [COMPLETED]: "completedAt",
+};
+
+/**
+ * Whether a registration can still move on (initiated, otp_sent or verified)
+ * @param {Object} session - registration_sessions record
+ * @returns {boolean}
+ */
+export const isOpen = (session) => OPEN_STATES.includes(session.status);
+
+/**
+ * When a registration started now expires
+ * @returns {Date} Now plus REGISTRATION_SESSION_TTL_MINUTES
+ */
+export const sessionExpiry = () =>
+  new Date(Date.now() + config.REGISTRATION_SESSION_TTL_MINUTES * 60 * 1000);
+
+/**
+ * Move a registration to another state
+ * @param {Object} repos - Repositories (fastify.repos or fastify.reposFor(tx))
+ * @param {Object} session - registration_sessions record
+ * @param {string} to - One of REGISTRATION_STATES
+ * @param {Object} [data] - Other fields to set (tokenId, channel)
+ * @returns {Promise<Object>} The session in its new state
+ * @throws {RegistrationFlowError} REGISTRATION_STATE_CONFLICT (409) if the session is not
+ * (or no longer) in a state the transition is allowed from
+ */
+export const transitionSession = async (repos, session, to, data = {}) => {
+  const now = new Date();
+  const changes = { ...data, ...(REACHED_AT[to] && { [REACHED_AT[to]]: now }) };
+
+  const moved = await repos.registrationSessions.transition(session.id, {
+    from: TRANSITIONS[to],
+    to,
+    data: changes,
+  });
+
+  if (!moved) {
+    throw new RegistrationFlowError(
+      `Registration ${session.id} cannot move from ${session.status} to ${to}`,
+      {
+        statusCode: 409,
+        error: "REGISTRATION_STATE_CONFLICT",
+        message: "The registration has changed, please try again",
+      }
+    );
+  }
+
+  return { ...session, ...changes, status: to, updatedAt: now };
+};
+
+/**
+ * Current state of a registration. Open sessions are expired lazily: one read
+ * after its expiresAt is marked expired.
+ * @param {Object} repos - Repositories
+ * @param {Object} session - registration_sessions record
+ * @returns {Promise<Object>} The session, expired if it ran out of time
+ */
+export const refreshSession = async (repos, session) => {
+  const now = new Date();
+
+  if (!isOpen(session) || session.expiresAt > now) {
+    return session;
+  }
+
+  await repos.registrationSessions.transition(session.id, { from: OPEN_STATES, to: EXPIRED });
+
+  return { ...session, status: EXPIRED, updatedAt: now };
+};
+
+/**
+ * Registration status flow
+ * Reports where a registration is without revealing who is registering.
+ * @param {Object} request - Fastify request object (params.id is the registrationId)
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<Object>} { registrationId, status, channel, expiresAt, verifiedAt,
+ * completedAt, createdAt, updatedAt }
+ * @throws {RegistrationFlowError} REGISTRATION_NOT_FOUND (404)
+ */
+export const getRegistrationStatus = async (request, fastify) => {
+  const found = await fastify.repos.registrationSessions.findById(request.params.id);
+
+  if (!found) {
+    throw new RegistrationFlowError("Registration not found", {
+      statusCode: 404,
+      error: "REGISTRATION_NOT_FOUND",
+      message: "Registration not found",
+    });
+  }
+
+  const session = await refreshSession(fastify.repos, found);
+
+  return {
+    registrationId: session.id,
+    status: session.status,
+    channel: session.channel ?? undefined,
+    expiresAt: session.expiresAt.toISOString(),
+    verifiedAt: session.verifiedAt?.toISOString(),
+    completedAt: session.completedAt?.toISOString(),
+    createdAt: session.createdAt.toISOString(),
+    updatedAt: session.updatedAt.toISOString(),
+  };
+};
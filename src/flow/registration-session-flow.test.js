@@ -0,0 +1,152 @@
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert";
+import {
+  REGISTRATION_STATES,
+  isOpen,
+  transitionSession,
+  refreshSession,
+  getRegistrationStatus,
+} from "./registration-session-flow.js";
+import { RegistrationSessionsRepo } from "../repo/registration-sessions.js";
+
+const { INITIATED, OTP_SENT, VERIFIED, COMPLETED, EXPIRED, ABANDONED } = REGISTRATION_STATES;
+
+describe("Registration Session Flow - state machine", () => {
+  let rows;
+  let mockPrisma;
+  let mockRepos;
+
+  const createSession = (status, overrides = {}) => {
+    const session = {
+      id: `reg-${Object.keys(rows).length + 1}`,
+      status,
+      channel: "sms",
+      expiresAt: new Date(Date.now() + 60 * 1000),
+      verifiedAt: null,
+      completedAt: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      ...overrides,
+    };
+    rows[session.id] = session;
+    return { ...session };
+  };
+
+  beforeEach(() => {
+    rows = {};
+
+    // Applies the repository's conditional update like the database would
+    mockPrisma = {
+      registration_sessions: {
+        findUnique: mock.fn(async ({ where }) => (rows[where.id] ? { ...rows[where.id] } : null)),
+        updateMany: mock.fn(async ({ where, data }) => {
+          const row = rows[where.id];
+          if (!row || !where.status.in.includes(row.status)) {
+            return { count: 0 };
+          }
+          Object.assign(row, data);
+          return { count: 1 };
+        }),
+      },
+    };
+
+    mockRepos = { registrationSessions: new RegistrationSessionsRepo(mockPrisma) };
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  test("Should walk a registration from initiated to completed", async () => {
+    let session = createSession(INITIATED);
+
+    session = await transitionSession(mockRepos, session, OTP_SENT, { tokenId: "token-1" });
+    session = await transitionSession(mockRepos, session, VERIFIED);
+    session = await transitionSession(mockRepos, session, COMPLETED);
+
+    const stored = rows[session.id];
+    assert.strictEqual(stored.status, COMPLETED);
+    assert.strictEqual(stored.tokenId, "token-1");
+    assert.ok(stored.verifiedAt instanceof Date, "Should record when it was verified");
+    assert.ok(stored.completedAt instanceof Date, "Should record when it was completed");
+    assert.strictEqual(isOpen(stored), false);
+  });
+
+  test("Should allow a new code to be sent while waiting for one", async () => {
+    const session = createSession(OTP_SENT);
+
+    const moved = await transitionSession(mockRepos, session, OTP_SENT, { tokenId: "token-2" });
+
+    assert.strictEqual(moved.status, OTP_SENT);
+    assert.strictEqual(rows[session.id].tokenId, "token-2");
+  });
+
+  test("Should reject transitions the state machine does not allow", async () => {
+    const invalid = [
+      [INITIATED, VERIFIED],
+      [INITIATED, COMPLETED],
+      [OTP_SENT, COMPLETED],
+      [VERIFIED, OTP_SENT],
+      [COMPLETED, EXPIRED],
+      [EXPIRED, OTP_SENT],
+      [ABANDONED, VERIFIED],
+    ];
+
+    for (const [from, to] of invalid) {
+      const session = createSession(from);
+
+      await assert.rejects(
+        transitionSession(mockRepos, session, to),
+        (error) => error.details.error === "REGISTRATION_STATE_CONFLICT",
+        `${from} -> ${to}`
+      );
+      assert.strictEqual(rows[session.id].status, from, "Should leave the session unchanged");
+    }
+  });
+
+  test("Should reject a transition when the session moved on in the meantime", async () => {
+    const session = createSession(OTP_SENT);
+    rows[session.id].status = ABANDONED;
+
+    await assert.rejects(
+      transitionSession(mockRepos, session, VERIFIED),
+      (error) => error.statusCode === 409
+    );
+    assert.strictEqual(rows[session.id].status, ABANDONED);
+  });
+
+  test("Should expire open sessions once they run out of time", async () => {
+    const expiredAt = new Date(Date.now() - 1000);
+    const open = createSession(OTP_SENT, { expiresAt: expiredAt });
+    const completed = createSession(COMPLETED, { expiresAt: expiredAt });
+    const current = createSession(VERIFIED);
+
+    assert.strictEqual((await refreshSession(mockRepos, open)).status, EXPIRED);
+    assert.strictEqual(rows[open.id].status, EXPIRED);
+    assert.strictEqual((await refreshSession(mockRepos, completed)).status, COMPLETED);
+    assert.strictEqual((await refreshSession(mockRepos, current)).status, VERIFIED);
+    assert.strictEqual(mockPrisma.registration_sessions.updateMany.mock.calls.length, 1);
+  });
+
+  test("Should report the status without who is registering", async () => {
+    const session = createSession(OTP_SENT, { phone: "+61412345678", email: "a@example.com" });
+
+    const status = await getRegistrationStatus(
+      { params: { id: session.id } },
+      { repos: mockRepos }
+    );
+
+    assert.strictEqual(status.registrationId, session.id);
+    assert.strictEqual(status.status, OTP_SENT);
+    assert.strictEqual(status.channel, "sms");
+    assert.strictEqual(status.phone, undefined);
+    assert.strictEqual(status.email, undefined);
+  });
+
+  test("Should report an unknown registration as not found", async () => {
+    await assert.rejects(
+      getRegistrationStatus({ params: { id: "reg-unknown" } }, { repos: mockRepos }),
+      (error) => error.statusCode === 404 && error.details.error === "REGISTRATION_NOT_FOUND"
+    );
+  });
+});
@@ -0,0 +1,100 @@
+import { AuthFlowError } from "../custom-error/flow/auth-flow.js";
+
+/**
+ * List the active sessions of the authenticated customer.
+ *
+ * A session is a refresh token family; its live token is joined with the
+ * device it is bound to. The session the access token was issued for (its
+ * session claim) is flagged with isCurrent.
+ *
+ * @function
+ * @param {Object} request - Fastify request object (request.user set by fastify.authenticate)
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<Array>} Active sessions, most recently refreshed first
+ *
+ * @example
+ * const sessions = await listSessions(request, fastify);
+ * // Returns: [{ id, deviceId, deviceName, os, osVersion, ip, lastUsedAt, signedInAt, lastRefreshedAt, isCurrent }]
+ */
+export const listSessions = async (request, fastify) => {
+  const { refreshToken: refreshTokenRepo } = fastify.repos;
+  const logger = request.log;
+  const { customerId, sessionId: currentSessionId } = request.user;
+
+  const activeTokens = await refreshTokenRepo.findActiveByCustomer(customerId);
+  const startTimes = await refreshTokenRepo.findFamilyStartTimes(
+    activeTokens.map((token) => token.familyId)
+  );
+
+  logger.info({ customerId, count: activeTokens.length }, "Listed active sessions");
+
+  return activeTokens.map((token) => {
+    const device = token.devices;
+
+    return {
+      id: token.familyId,
+      deviceId: token.devicesId,
+      deviceName: device?.deviceName ?? null,
+      os: device?.os ?? null,
+      osVersion: device?.osVersion ?? null,
+      ip: device?.ip ?? token.ip,
+      lastUsedAt: device?.lastUsedAt ?? null,
+      signedInAt: startTimes.get(token.familyId) ?? token.createdAt,
+      lastRefreshedAt: token.createdAt,
+      isCurrent: !!currentSessionId && token.familyId === currentSessionId,
+    };
+  });
+};
+
+/**
+ * Revoke one session of the authenticated customer.
+ *
+ * Optionally deactivates the device the session was signed in on
+ * (deactivateDevice query flag), e.g. for a lost phone.
+ *
+ * @function
+ * @param {Object} request - Fastify request object (request.user set by fastify.authenticate)
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<Object>} Revoked session ID, revoked token count and device status
+ * @throws {AuthFlowError} If the session does not exist or belongs to another customer
+ *
+ * @example
+ * const result = await revokeSession(request, fastify);
+ * // Returns: { id, revokedTokens: 2, deviceDeactivated: true }
+ */
+export const revokeSession = async (request, fastify) => {
+  const { refreshToken: refreshTokenRepo, device: deviceRepo } = fastify.repos;
+  const logger = request.log;
+  const { customerId } = request.user;
+  const { id: sessionId } = request.params;
+  const { deactivateDevice = false } = request.query || {};
+
+  const latestToken = await refreshTokenRepo.findLatestInFamily(sessionId, customerId);
+
+  if (!latestToken) {
+    throw new AuthFlowError("Session not found", {
+      statusCode: 404,
+      error: "SESSION_NOT_FOUND",
+      message: "Session not found",
+    });
+  }
+
+  const revokedTokens = await refreshTokenRepo.revokeFamily(sessionId, "session_revoked");
+
+  let deviceDeactivated = false;
+  if (deactivateDevice && latestToken.devicesId) {
+    await deviceRepo.softDelete(latestToken.devicesId);
+    deviceDeactivated = true;
+  }
+
+  logger.info(
+    { customerId, sessionId, revokedTokens, deviceId: latestToken.devicesId, deviceDeactivated },
+    "Session revoked"
+  );
+
+  return {
+    id: sessionId,
+    revokedTokens,
+    deviceDeactivated,
+  };
+};
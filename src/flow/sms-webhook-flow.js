@@ -0,0 +1,195 @@
+// Node.js built-in
+import { randomUUID } from "crypto";
+
+// Configuration
+import { config } from "../config/config.js";
+
+// Custom error classes
+import { WebhookFlowError } from "../custom-error/flow/webhook-flow.js";
+
+// Utility functions
+import { verifyWebhookSignature } from "../utils/crypto.js";
+import { normalizePhone } from "../utils/phone.js";
+
+// Outbox
+import { enqueueMessage } from "../lib/outbox.js";
+
+// Statuses a delivery report may move an event from. "failed" can still become
+// "delivered" when the provider retries; delivered/undeliverable are final.
+const TRANSITIONS = {
+  queued: ["delivered", "failed", "undeliverable"],
+  sent: ["delivered", "failed", "undeliverable"],
+  failed: ["delivered", "undeliverable"],
+};
+
+/**
+ * Statuses an event may be in for a delivery report to move it to a status
+ * @param {string} status - Reported status
+ * @returns {Array<string>} Statuses allowed by TRANSITIONS
+ */
+const allowedFrom = (status) =>
+  Object.keys(TRANSITIONS).filter((from) => TRANSITIONS[from].includes(status));
+
+// Inbound keywords (matched against the whole message, case and punctuation ignored)
+const KEYWORDS = {
+  STOP: ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT"],
+  UNSTOP: ["UNSTOP", "START", "SUBSCRIBE", "YES"],
+  HELP: ["HELP", "INFO"],
+};
+
+/**
+ * Keyword an inbound message consists of, if any
+ * @param {string} message - Message text
+ * @returns {string|null} STOP, UNSTOP, HELP or null
+ */
+const matchKeyword = (message) => {
+  const word = message.toUpperCase().replace(/[^A-Z]/g, "");
+  return Object.keys(KEYWORDS).find((keyword) => KEYWORDS[keyword].includes(word)) ?? null;
+};
+
+/**
+ * Reject webhook calls without a valid, fresh provider signature
+ * @param {Object} request - Fastify request object (rawBody set by the webhook routes)
+ * @throws {WebhookFlowError} INVALID_SIGNATURE (401)
+ */
+const assertSigned = (request) => {
+  const signatureValid = verifyWebhookSignature({
+    secret: config.SMS_WEBHOOK_SECRET,
+    timestamp: request.headers["x-signature-timestamp"],
+    signature: request.headers["x-signature"],
+    rawBody: request.rawBody,
+    toleranceSeconds: config.SMS_WEBHOOK_TOLERANCE_SECONDS,
+  });
+
+  if (!signatureValid) {
+    request.log.warn({ url: request.url }, "SMS webhook with invalid signature");
+    throw new WebhookFlowError("Invalid signature", {
+      statusCode: 401,
+      error: "INVALID_SIGNATURE",
+      message: "Invalid or expired webhook signature",
+    });
+  }
+};
+
+/**
+ * SMS delivery report flow
+ * Verifies the provider's HMAC signature and moves the matching sms_events row
+ * to delivered, failed or undeliverable. Duplicate and out-of-order reports are
+ * acknowledged without changing the event.
+ * @param {Object} request - Fastify request object (rawBody set by the webhook routes)
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<Object>} { eventId, status, applied }
+ * @throws {WebhookFlowError} INVALID_SIGNATURE (401) or EVENT_NOT_FOUND (404)
+ */
+export const handleSmsStatusReport = async (request, fastify) => {
+  const { messageId, status, provider, statusCode, occurredAt } = request.body;
+  const { smsEvents: smsEventsRepo } = fastify.repos;
+  const logger = request.log;
+
+  assertSigned(request);
+
+  const event = await smsEventsRepo.findByProviderId(messageId, provider);
+
+  if (!event) {
+    // The provider retries, which also covers a report racing the send being recorded
+    logger.warn({ messageId, provider }, "SMS delivery report for unknown message");
+    throw new WebhookFlowError("SMS event not found", {
+      statusCode: 404,
+      error: "EVENT_NOT_FOUND",
+      message: "No SMS event for this message ID",
+    });
+  }
+
+  // Checked again on the locked row, a concurrent report may have moved it since
+  const updated =
+    TRANSITIONS[event.status]?.includes(status) &&
+    (await smsEventsRepo.updateStatus(event.id, {
+      status,
+      from: allowedFrom(status),
+      // Cleared when a later report carries no code
+      statusCode: statusCode ?? null,
+      occurredAt: occurredAt ? new Date(occurredAt) : new Date(),
+    }));
+
+  if (!updated) {
+    const current = updated === null ? await smsEventsRepo.findById(event.id) : event;
+    logger.info(
+      { eventId: event.id, current: current.status, reported: status },
+      "SMS delivery report ignored"
+    );
+    return { eventId: event.id, status: current.status, applied: false };
+  }
+
+  logger.info({ eventId: event.id, from: event.status, to: status }, "SMS delivery status updated");
+
+  return { eventId: event.id, status, applied: true };
+};
+
+/**
+ * Inbound SMS flow
+ * Verifies the provider's HMAC signature, stores the message as an inbound
+ * sms_events row and acts on keywords: STOP adds the sender to the opt-out list,
+ * UNSTOP removes them and HELP queues the HELP auto-reply. Provider retries of a
+ * stored message are acknowledged without acting again.
+ * @param {Object} request - Fastify request object (rawBody set by the webhook routes)
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<Object>} { eventId, keyword, duplicate }
+ * @throws {WebhookFlowError} INVALID_SIGNATURE (401)
+ */
+export const handleInboundSms = async (request, fastify) => {
+  const { messageId, to, message, provider, receivedAt } = request.body;
+  const { smsEvents: smsEventsRepo } = fastify.repos;
+  const logger = request.log;
+
+  assertSigned(request);
+
+  // Match the opt-out list and outbound events, which store E.164 numbers
+  const from = normalizePhone(request.body.from) ?? request.body.from;
+
+  const existing = await smsEventsRepo.findByProviderId(messageId, provider);
+
+  if (existing?.direction === "inbound") {
+    logger.info({ eventId: existing.id, messageId }, "Duplicate inbound SMS ignored");
+    return { eventId: existing.id, keyword: existing.meta?.keyword ?? null, duplicate: true };
+  }
+
+  const keyword = matchKeyword(message);
+  const eventId = randomUUID();
+
+  await fastify.prisma.$transaction(async (tx) => {
+    const repos = fastify.reposFor(tx);
+
+    await repos.smsEvents.create({
+      id: eventId,
+      phone: from,
+      direction: "inbound",
+      status: "received",
+      message,
+      provider,
+      providerId: messageId,
+      meta: { keyword, to, receivedAt: receivedAt ?? new Date().toISOString() },
+    });
+
+    if (keyword === "STOP") {
+      await repos.smsOptOuts.optOut(from, { keyword });
+    } else if (keyword === "UNSTOP") {
+      await repos.smsOptOuts.optIn(from, { keyword });
+    } else if (keyword === "HELP") {
+      // Answered even after STOP; no purpose, so it is not counted as a code send
+      await enqueueMessage(repos, {
+        channel: "sms",
+        recipient: from,
+        body: config.SMS_HELP_REPLY,
+        meta: { description: "HELP reply", essential: true },
+      });
+    }
+  });
+
+  if (keyword === "HELP") {
+    fastify.outbox.wake();
+  }
+
+  logger.info({ eventId, keyword }, "Inbound SMS stored");
+
+  return { eventId, keyword, duplicate: false };
+};
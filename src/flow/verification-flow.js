@@ -1,14 +1,20 @@
 import { randomUUID } from "crypto";
 import { VerificationFlowError } from "../custom-error/flow/verification-flow.js";
-import { hash } from "../utils/crypto.js";
 import { deviceValidation } from "../utils/device-validation.js";
 import { phoneValidation } from "../utils/phone-validation.js";
 import { emailValidation } from "../utils/email-validation.js";
-import { generateAccessToken, generateRefreshToken } from "../lib/jwt.js";
+import { issueTokens } from "./auth-flow.js";
+import * as otpService from "./otp-service.js";
+import {
+  REGISTRATION_STATES,
+  isOpen,
+  refreshSession,
+  transitionSession,
+} from "./registration-session-flow.js";
 
 export const verification = async (request, fastify) => {
   try {
-    const { phone, email, otp, deviceId, customerId } = request.body;
+    const { phone, email, otp, deviceId, customerId, channel } = request.body;
     const ip = request.ip;
 
     if (!otp || !deviceId || (!phone && !email)) {
@@ -18,7 +24,7 @@ export const verification = async (request, fastify) => {
     const {
       block: blockRepo,
       registrationAttempt: attemptRepo,
-      registrationTokens: tokenRepo,
+      registrationSessions: sessionRepo,
     } = fastify.repos;
 
     // device validation
@@ -30,72 +36,63 @@ export const verification = async (request, fastify) => {
     // email blocked check
     await emailValidation(request, fastify);
 
-    // find token resume
-    request.log.info(
-      {
-        searchParams: { phone, email, deviceId },
-        timestamp: new Date().toISOString(),
-      },
-      "Searching for active token"
-    );
-
-    const tokenRecord = await tokenRepo.findActiveToken({
-      phone,
-      email,
-      deviceId,
-    });
-
-    if (!tokenRecord) {
-      throw new VerificationFlowError("Verification token not found or expired");
+    // registration session (registrations made before sessions have none)
+    const latestSession = await sessionRepo.findLatestByCustomer(customerId);
+    let session = latestSession && (await refreshSession(fastify.repos, latestSession));
+    if (session && !isOpen(session)) {
+      throw new VerificationFlowError(`Registration ${session.status}, please register again`);
     }
 
-    if (tokenRecord.attempts >= tokenRecord.maxAttempts) {
-      await blockRepo.create({
-        id: randomUUID(),
-        scope: "device",
-        value: deviceId,
-        reason: "OTP max attempts exceeded",
-        source: "registration",
-        devicesId: deviceId,
+    // verification process (registration codes only)
+    try {
+      await otpService.verify(request, fastify, {
+        purpose: otpService.OTP_PURPOSES.REGISTRATION,
+        target: { phone, email },
+        deviceId,
+        otp,
+        channel,
+        verifiedByUserId: customerId,
       });
+    } catch (error) {
+      if (error.name !== "OtpFlowError") {
+        throw error;
+      }
 
-      throw new VerificationFlowError("Too many verification attempts");
-    }
-
-    // verification process
-    const hashedInputOtp = hash(otp);
-    const isValidOtp = tokenRecord.tokenHash === hashedInputOtp;
+      if (error.details.error === "OTP_ATTEMPTS_EXCEEDED") {
+        await blockRepo.create({
+          id: randomUUID(),
+          scope: "device",
+          value: deviceId,
+          reason: "OTP max attempts exceeded",
+          source: "registration",
+          devicesId: deviceId,
+        });
+      }
 
-    if (!isValidOtp) {
-      await tokenRepo.incrementAttempts(tokenRecord.id);
+      if (error.details.error === "INVALID_OTP") {
+        await attemptRepo.create({
+          id: randomUUID(),
+          phone,
+          email,
+          ip,
+          deviceId,
+          action: "verify_otp",
+          result: "failed",
+          reason: "Invalid OTP",
+          devicesId: deviceId,
+        });
+      }
 
-      await attemptRepo.create({
-        id: randomUUID(),
-        phone,
-        email,
-        ip,
-        deviceId,
-        action: "verify_otp",
-        result: "failed",
-        reason: "Invalid OTP",
-        devicesId: deviceId,
-      });
+      throw new VerificationFlowError(error.details.message);
+    }
 
-      throw new VerificationFlowError("Invalid verification code");
+    if (session) {
+      session = await transitionSession(fastify.repos, session, REGISTRATION_STATES.VERIFIED);
     }
 
     // DB update
     const result = await fastify.prisma.$transaction(async (tx) => {
-      /** 5.1 Mark token verified */
-      await tx.registration_tokens.update({
-        where: { id: tokenRecord.id },
-        data: {
-          verifiedAt: new Date(),
-          status: "verified",
-        },
-      });
-
-      /** 5.2 Update customer from isActive to true*/
+      /** 5.1 Update customer from isActive to true*/
       const customer = await tx.customers.update({
         where: { id: customerId },
         data: {
@@ -103,7 +100,7 @@ export const verification = async (request, fastify) => {
         },
       });
 
-      /** 5.3 Create account */
+      /** 5.2 Create account */
       await tx.accounts.create({
         data: {
           id: randomUUID(),
@@ -114,6 +111,11 @@ export const verification = async (request, fastify) => {
         },
       });
 
+      /** 5.3 Complete the registration session */
+      if (session) {
+        await transitionSession(fastify.reposFor(tx), session, REGISTRATION_STATES.COMPLETED);
+      }
+
       /** 5.4 Record success attempt */
       await tx.registration_attempts.create({
         data: {
@@ -131,23 +133,12 @@ export const verification = async (request, fastify) => {
       return customer;
     });
 
-    // Generate JWT token
-    const token = generateAccessToken({
-      customerId: result.id,
-      email: result.email,
-    });
-
-    const refreshToken = generateRefreshToken({
-      customerId: result.id,
-      tokenId: randomUUID(), // Unique identifier for this refresh token
-    });
+    // Generate JWT tokens
+    const tokens = await issueTokens(request, fastify, { customer: result, deviceId });
 
     return {
       customerId: result.id,
-      accessToken: token,
-      refreshToken: refreshToken,
-      expiresIn: 3600,
-      tokenType: "Bearer",
+      ...tokens,
     };
   } catch (error) {
     throw new VerificationFlowError(`Verification failed: ${error.message}`);
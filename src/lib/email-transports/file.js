@@ -0,0 +1,25 @@
+import { randomUUID } from "crypto";
+import { appendFile } from "fs/promises";
+
+/**
+ * Email transport for local development: nothing is sent, each email is
+ * appended as a JSON line to a file and its text body echoed to the console.
+ * @param {Object} options
+ * @param {string} options.path - File the emails are appended to
+ * @returns {Object} Transport { name, send }
+ */
+export const createFileEmailTransport = ({ path }) => ({
+  name: "file",
+
+  async send({ from, to, subject, text, html }) {
+    const providerId = randomUUID();
+
+    await appendFile(
+      path,
+      `${JSON.stringify({ id: providerId, from, to, subject, text, html, sentAt: new Date() })}\n`
+    );
+    console.log(`[email] to ${to}: ${subject} - ${text}`);
+
+    return { provider: "file", providerId };
+  },
+});
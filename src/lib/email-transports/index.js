@@ -0,0 +1,49 @@
+import { config } from "../../config/config.js";
+import { createTransportRegistry } from "../transport-registry.js";
+import { createSmtpEmailTransport } from "./smtp.js";
+import { createFileEmailTransport } from "./file.js";
+import { createMemoryEmailTransport } from "./memory.js";
+
+const registry = createTransportRegistry({
+  label: "email",
+  transports: {
+    smtp: () =>
+      createSmtpEmailTransport({
+        host: config.SMTP_HOST,
+        port: config.SMTP_PORT,
+        secure: config.SMTP_SECURE,
+        user: config.SMTP_USER,
+        password: config.SMTP_PASSWORD,
+      }),
+    file: () => createFileEmailTransport({ path: config.EMAIL_FILE_PATH }),
+    memory: () => createMemoryEmailTransport(),
+  },
+  selected: () => config.EMAIL_TRANSPORT,
+});
+
+/**
+ * Create an email transport by name.
+ *
+ * Every transport exposes `name` and `send({ from, to, subject, text, html })`,
+ * which resolves to `{ provider, providerId }` for email_events.provider/providerId.
+ *
+ * @function
+ * @param {string} name - smtp, file or memory
+ * @returns {Object} Transport
+ * @throws {Error} If the transport is unknown or misconfigured
+ */
+export const createEmailTransport = registry.create;
+
+/**
+ * Get the transport selected by EMAIL_TRANSPORT, created on first use.
+ * @function
+ * @returns {Object} Transport
+ */
+export const getEmailTransport = registry.get;
+
+/**
+ * Replace the active transport, e.g. with an in-memory one in tests.
+ * @function
+ * @param {Object|null} nextTransport - Transport, or null to go back to EMAIL_TRANSPORT
+ */
+export const setEmailTransport = registry.set;
@@ -0,0 +1,31 @@
+/**
+ * Email transport for tests: emails are kept in memory.
+ * @returns {Object} Transport { name, send, sent, lastEmailTo(address), clear() }
+ *
+ * @example
+ * const transport = getEmailTransport();
+ * const { text } = transport.lastEmailTo("jane@example.com");
+ */
+export const createMemoryEmailTransport = () => {
+  const sent = [];
+
+  return {
+    name: "memory",
+    sent,
+
+    async send({ from, to, subject, text, html }) {
+      const providerId = `memory-${sent.length + 1}`;
+      sent.push({ providerId, from, to, subject, text, html, sentAt: new Date() });
+
+      return { provider: "memory", providerId };
+    },
+
+    lastEmailTo(address) {
+      return sent.findLast((email) => email.to === address) ?? null;
+    },
+
+    clear() {
+      sent.length = 0;
+    },
+  };
+};
@@ -0,0 +1,45 @@
+import nodemailer from "nodemailer";
+
+/**
+ * Email transport over SMTP. Works against any SMTP server, including a local
+ * catcher such as Mailpit (SMTP_HOST=localhost, SMTP_PORT=1025).
+ * @param {Object} options
+ * @param {string} options.host - SMTP host
+ * @param {number} options.port - SMTP port
+ * @param {boolean} [options.secure=false] - Use TLS from the start (port 465)
+ * @param {string} [options.user] - SMTP username
+ * @param {string} [options.password] - SMTP password
+ * @returns {Object} Transport { name, send }
+ * @throws {Error} If no host is configured
+ */
+export const createSmtpEmailTransport = ({ host, port, secure = false, user, password }) => {
+  if (!host) {
+    throw new Error("SMTP_HOST must be configured for the smtp email transport");
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass: password } }),
+  });
+
+  return {
+    name: "smtp",
+
+    /**
+     * @param {Object} params
+     * @param {string} params.from - Sender address
+     * @param {string} params.to - Recipient
+     * @param {string} params.subject - Subject line
+     * @param {string} params.text - Plain text body
+     * @param {string} params.html - HTML body
+     * @returns {Promise<Object>} { provider, providerId }
+     */
+    async send({ from, to, subject, text, html }) {
+      const info = await transporter.sendMail({ from, to, subject, text, html });
+
+      return { provider: "smtp", providerId: info.messageId ?? null };
+    },
+  };
+};
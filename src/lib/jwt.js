@@ -1,27 +1,45 @@
 import jwt from "jsonwebtoken";
+import { getKeyRing } from "./key-ring.js";
+
+/** Access token lifetime in seconds */
+export const ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+
+/** Refresh token lifetime in seconds */
+export const REFRESH_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
 
 /**
  * Generate a JWT access token for authentication.
  *
+ * Signed with the active key of the key ring (ES256/RS256); the key id is set
+ * in the kid header so verifiers can pick the matching public key from the JWKS.
+ *
  * @function
  * @param {Object} params - Parameters required to generate the token.
  * @param {string|number} params.customerId - Unique user identifier (customerId), used as JWT subject (sub).
  * @param {string} params.email - User email address.
  * @param {string} [params.deviceId] - Device unique identifier (optional).
+ * @param {string} [params.sessionId] - Session (refresh token family) the token belongs to (optional).
+ * @param {string} [params.role] - Customer role used for authorization (optional).
  * @returns {string} JWT access token string.
  *
  * @example
- * const token = generateAccessToken({ customerId: 123, email: 'user@example.com', deviceId: 'device-001' });
+ * const token = generateAccessToken({ customerId: 123, email: 'user@example.com', deviceId: 'device-001', role: 'CUSTOMER' });
  */
-export const generateAccessToken = ({ customerId, email, deviceId }) => {
+export const generateAccessToken = ({ customerId, email, deviceId, sessionId, role }) => {
   const payload = {
     sub: customerId,
     email,
     deviceId,
+    sid: sessionId,
+    role,
   };
 
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: "1h",
+  const { signingKey } = getKeyRing();
+
+  return jwt.sign(payload, signingKey.privateKey, {
+    algorithm: signingKey.alg,
+    keyid: signingKey.kid,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
   });
 };
 
@@ -29,7 +47,7 @@ export const generateAccessToken = ({ customerId, email, deviceId }) => {
  * Generate a JWT refresh token for obtaining new access tokens.
  *
  * Refresh tokens have a longer lifespan and should be stored securely.
- * Consider storing refresh tokens in the database to enable revocation.
+ * The tokenId (jti) is the key of the refresh_tokens record used for rotation and revocation.
  *
  * @function
  * @param {Object} params - Parameters required to generate the refresh token.
@@ -51,16 +69,19 @@ export const generateRefreshToken = ({ customerId, tokenId }) => {
   }
 
   return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: "7d",
+    expiresIn: REFRESH_TOKEN_TTL_SECONDS,
   });
 };
 
 /**
  * Verify and decode a JWT access token.
  *
+ * The verification key is selected by the token's kid header, so tokens signed
+ * with a retiring key stay valid during key rotation.
+ *
  * @function
  * @param {string} token - JWT access token string to verify.
- * @returns {Object} Decoded token payload containing customerId, email, and deviceId.
+ * @returns {Object} Decoded token payload containing customerId, email, deviceId, sessionId and role.
  * @throws {Error} If token is invalid, expired, or malformed.
  *
  * @example
@@ -73,7 +94,14 @@ export const generateRefreshToken = ({ customerId, tokenId }) => {
  */
 export const verifyAccessToken = (token) => {
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const header = jwt.decode(token, { complete: true })?.header;
+    const key = header?.kid ? getKeyRing().getKey(header.kid) : null;
+
+    if (!key) {
+      throw new Error("Invalid access token");
+    }
+
+    const decoded = jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
 
     if (typeof decoded === "string") {
       throw new Error("Invalid token payload");
@@ -83,6 +111,8 @@ export const verifyAccessToken = (token) => {
       customerId: decoded.sub,
       email: decoded.email,
       deviceId: decoded.deviceId,
+      sessionId: decoded.sid,
+      role: decoded.role,
       iat: decoded.iat,
       exp: decoded.exp,
     };
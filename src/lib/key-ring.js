@@ -0,0 +1,133 @@
+import crypto from "crypto";
+import { config } from "../config/config.js";
+
+const SUPPORTED_ALGORITHMS = ["ES256", "RS256"];
+const KEY_STATUSES = ["active", "retiring"];
+
+/**
+ * Load one configured key into KeyObjects.
+ * @param {Object} entry - Key entry from JWT_SIGNING_KEYS
+ * @returns {Object} Loaded key { kid, alg, status, privateKey, publicKey }
+ * @throws {Error} If the entry is incomplete or uses an unsupported algorithm
+ */
+const loadKey = (entry) => {
+  const { kid, alg = "ES256", privateKey, publicKey, status = "active" } = entry;
+
+  if (!kid) {
+    throw new Error("JWT key entry is missing kid");
+  }
+
+  if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+    throw new Error(`JWT key ${kid} uses unsupported algorithm ${alg}`);
+  }
+
+  if (!KEY_STATUSES.includes(status)) {
+    throw new Error(`JWT key ${kid} has invalid status ${status}`);
+  }
+
+  if (!privateKey && !publicKey) {
+    throw new Error(`JWT key ${kid} needs a privateKey or publicKey`);
+  }
+
+  const privateKeyObject = privateKey ? crypto.createPrivateKey(privateKey) : null;
+  const publicKeyObject = publicKey
+    ? crypto.createPublicKey(publicKey)
+    : crypto.createPublicKey(privateKeyObject);
+
+  return { kid, alg, status, privateKey: privateKeyObject, publicKey: publicKeyObject };
+};
+
+/**
+ * Generate a throwaway ES256 key for local development.
+ * @returns {Object} Key entry with KeyObjects
+ */
+const generateEphemeralKey = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+
+  return {
+    kid: `ephemeral-${crypto.randomUUID()}`,
+    alg: "ES256",
+    status: "active",
+    privateKey,
+    publicKey,
+  };
+};
+
+/**
+ * Build a key ring for signing and verifying access tokens.
+ *
+ * Keys with status "active" may sign; the first active key with a private key
+ * is used for new tokens. "retiring" keys are only used to verify tokens that
+ * were signed before a rotation, and stay published in the JWKS until removed.
+ *
+ * @function
+ * @param {Array<Object>} keys - Loaded keys ({ kid, alg, status, privateKey, publicKey })
+ * @returns {Object} Key ring with signingKey, getKey(kid) and toJwks()
+ * @throws {Error} If kids are duplicated or no active signing key exists
+ *
+ * @example
+ * const keyRing = createKeyRing([{ kid: "2026-01", alg: "ES256", status: "active", privateKey, publicKey }]);
+ * const key = keyRing.getKey(header.kid);
+ */
+export const createKeyRing = (keys) => {
+  const byKid = new Map();
+  for (const key of keys) {
+    if (byKid.has(key.kid)) {
+      throw new Error(`Duplicate JWT key id ${key.kid}`);
+    }
+    byKid.set(key.kid, key);
+  }
+
+  const signingKey = keys.find((key) => key.status === "active" && key.privateKey);
+  if (!signingKey) {
+    throw new Error("JWT key ring has no active signing key");
+  }
+
+  return {
+    signingKey,
+    getKey: (kid) => byKid.get(kid) ?? null,
+    toJwks: () => ({
+      keys: keys.map((key) => ({
+        ...key.publicKey.export({ format: "jwk" }),
+        kid: key.kid,
+        alg: key.alg,
+        use: "sig",
+      })),
+    }),
+  };
+};
+
+let keyRing = null;
+
+/**
+ * Get the process-wide key ring, loading it from config on first use.
+ *
+ * Keys come from JWT_SIGNING_KEYS. Outside production an ephemeral ES256 key is
+ * generated when none are configured (tokens then do not survive a restart).
+ *
+ * @function
+ * @returns {Object} Key ring (see {@link createKeyRing}) plus an ephemeral flag
+ * @throws {Error} If keys are misconfigured, or missing in production
+ *
+ * @example
+ * const { signingKey } = getKeyRing();
+ */
+export const getKeyRing = () => {
+  if (keyRing) {
+    return keyRing;
+  }
+
+  const entries = config.JWT_SIGNING_KEYS;
+
+  if (entries.length === 0) {
+    if (config.NODE_ENV === "production") {
+      throw new Error("JWT_SIGNING_KEYS must be configured in production");
+    }
+
+    keyRing = { ...createKeyRing([generateEphemeralKey()]), ephemeral: true };
+    return keyRing;
+  }
+
+  keyRing = { ...createKeyRing(entries.map(loadKey)), ephemeral: false };
+  return keyRing;
+};
@@ -1,13 +1,31 @@
 import { LambdaClient, InvokeCommand } from "@aws-sdk/client-lambda";
+import { config } from "../config/config.js";
 
 const lambdaClient = new LambdaClient({
   region: process.env.AWS_REGION || "ap-southeast-2",
 });
 
-export const invokeSmsLambda = async ({ phoneNumber, message }) => {
-  // TODO： Later make sure the function will grouped in one file.
-  const functionName =
-    process.env.SMS_LAMBDA_FUNCTION_NAME || "tool-sms-sendSmsFunction-qELG61cAgDO7";
+// Lambda sending each channel's messages
+const FUNCTION_NAMES = {
+  sms: () => config.SMS_LAMBDA_FUNCTION_NAME,
+  voice: () => config.VOICE_LAMBDA_FUNCTION_NAME,
+};
+
+/**
+ * Invoke the Lambda that sends a channel's messages and wait for its result
+ * @param {string} channel - sms or voice
+ * @param {Object} params
+ * @param {string} params.phoneNumber - Recipient
+ * @param {string} params.message - Message content (read out in a voice call)
+ * @returns {Promise<Object>} Lambda result { statusCode, body }
+ * @throws {Error} If the channel has no function configured or the invocation fails
+ */
+export const invokeMessageLambda = async (channel, { phoneNumber, message }) => {
+  const functionName = FUNCTION_NAMES[channel]?.();
+
+  if (!functionName) {
+    throw new Error(`No Lambda function configured for ${channel} messages`);
+  }
 
   const payload = {
     body: JSON.stringify({
@@ -32,11 +50,14 @@ export const invokeSmsLambda = async ({ phoneNumber, message }) => {
 
     return result;
   } catch (error) {
-    console.error("Failed to invoke SMS Lambda:", error);
+    console.error(`Failed to invoke ${channel} Lambda:`, error);
     throw error;
   }
 };
 
+export const invokeSmsLambda = ({ phoneNumber, message }) =>
+  invokeMessageLambda("sms", { phoneNumber, message });
+
 export const invokeSmsLambdaAsync = async ({ phoneNumber, message }) => {
   const functionName =
     process.env.SMS_LAMBDA_FUNCTION_NAME || "tool-sms-sendSmsFunction-qELG61cAgDO7";
@@ -0,0 +1,311 @@
+import { randomUUID } from "crypto";
+import { config } from "../config/config.js";
+import { sendSms } from "./send-sms.js";
+import { sendEmail } from "./send-email.js";
+import { sendVoice } from "./send-voice.js";
+
+const SENDERS = {
+  sms: (message) => sendSms({ phoneNumber: message.recipient, message: message.body }),
+  email: (message) =>
+    sendEmail({
+      emailAddress: message.recipient,
+      subject: message.subject,
+      message: message.body,
+      html: message.html ?? undefined,
+    }),
+  voice: (message) => sendVoice({ phoneNumber: message.recipient, message: message.body }),
+};
+
+/**
+ * Event repository tracking deliveries on a channel (voice has none).
+ * @param {Object} repos - Repositories
+ * @param {string} channel - sms, email or voice
+ * @returns {Object|undefined} smsEvents or emailEvents repo
+ */
+const eventRepoFor = (repos, channel) =>
+  ({ sms: repos.smsEvents, email: repos.emailEvents })[channel];
+
+/**
+ * Message meta without the fallback message, which contains the code.
+ * @param {Object|null} meta - Outbox message meta
+ * @returns {Object} Meta to keep
+ */
+const withoutFallback = (meta) => {
+  const kept = { ...meta };
+  delete kept.fallback;
+  return kept;
+};
+
+/**
+ * Delay before the next attempt: OUTBOX_RETRY_BASE_SECONDS doubled per failed
+ * attempt, capped at OUTBOX_RETRY_MAX_SECONDS.
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Delay in milliseconds
+ */
+const retryDelay = (attempts) =>
+  Math.min(
+    config.OUTBOX_RETRY_BASE_SECONDS * 2 ** (attempts - 1),
+    config.OUTBOX_RETRY_MAX_SECONDS
+  ) * 1000;
+
+/**
+ * Queue a message in the outbox together with its queued sms/email event.
+ *
+ * Pass repositories bound to the caller's transaction so the message is only
+ * queued if the rest of the transaction commits.
+ *
+ * @function
+ * @param {Object} repos - Repositories (fastify.repos or fastify.reposFor(tx))
+ * @param {Object} params
+ * @param {string} params.channel - sms, email or voice
+ * @param {string} params.recipient - Phone number or email address
+ * @param {string} [params.subject] - Email subject
+ * @param {string} params.body - Message content
+ * @param {string} [params.html] - Email HTML body
+ * @param {Object} [params.meta] - { purpose, tokenId, codeId, deviceId, ip, description,
+ *   fallback, essential } (SMS without essential: true are not sent to numbers on the opt-out
+ *   list; purpose, codeId, deviceId and ip are also stored as columns to count sends by; set
+ *   purpose for verification codes only, every code with one counts towards the OTP send
+ *   limits, once across the messages sharing its codeId)
+ * @returns {Promise<Object>} Queued outbox message
+ *
+ * @example
+ * await enqueueMessage(fastify.reposFor(tx), {
+ *   channel: "sms",
+ *   recipient: phone,
+ *   body: "Your one time password is 123456",
+ *   meta: { purpose: "registration", tokenId, deviceId, description: "OTP sent" },
+ * });
+ */
+export const enqueueMessage = async (
+  repos,
+  { channel, recipient, subject, body, html, meta = {} }
+) => {
+  const eventRepo = eventRepoFor(repos, channel);
+  let eventId = null;
+
+  if (eventRepo) {
+    eventId = randomUUID();
+    await eventRepo.create({
+      id: eventId,
+      ...(channel === "sms" ? { phone: recipient } : { email: recipient }),
+      direction: "outbound",
+      status: "queued",
+      message: meta.description,
+      meta: { purpose: meta.purpose },
+      devicesId: meta.deviceId,
+    });
+  }
+
+  return repos.outbox.create({
+    id: randomUUID(),
+    channel,
+    recipient,
+    subject,
+    body,
+    html,
+    maxAttempts: config.OUTBOX_MAX_ATTEMPTS,
+    eventId,
+    meta,
+    purpose: meta.purpose,
+    deviceId: meta.deviceId,
+    ip: meta.ip,
+    codeId: meta.codeId,
+  });
+};
+
+/**
+ * Create the in-process outbox dispatcher.
+ *
+ * Due messages are claimed one at a time, so several API instances can share the
+ * outbox. A failed attempt is retried with exponential backoff until
+ * maxAttempts, except when the message carries a fallback: then the fallback
+ * message is queued straight away and the token's tokenType follows it. Message
+ * bodies (which contain codes) are cleared once a message is sent or given up on.
+ *
+ * @function
+ * @param {Object} fastify - Fastify instance (prisma, repos, reposFor, log)
+ * @param {Object} [options]
+ * @param {number} [options.pollIntervalMs] - How often to look for due messages
+ * @param {number} [options.batchSize] - Messages fetched per query
+ * @returns {Object} Dispatcher { start, stop, wake, drain }
+ *
+ * @example
+ * const dispatcher = createOutboxDispatcher(fastify);
+ * dispatcher.start();
+ * // after committing a transaction that queued messages
+ * dispatcher.wake();
+ */
+export const createOutboxDispatcher = (
+  fastify,
+  { pollIntervalMs = config.OUTBOX_POLL_INTERVAL_MS, batchSize = config.OUTBOX_BATCH_SIZE } = {}
+) => {
+  const logger = fastify.log.child({ component: "outbox" });
+  let timer = null;
+  let running = null;
+  let rerun = false;
+
+  const fallBack = async (message, { attempts, lastError }) => {
+    const { fallback, ...meta } = message.meta;
+
+    await fastify.prisma.$transaction(async (tx) => {
+      const repos = fastify.reposFor(tx);
+
+      await enqueueMessage(repos, { ...fallback, meta: { ...meta, fallbackFor: message.id } });
+      await repos.outbox.markFailed(message.id, { attempts, lastError, meta });
+      await eventRepoFor(repos, message.channel)?.updateStatus(message.eventId, {
+        status: "failed",
+      });
+
+      if (meta.tokenId) {
+        await repos.registrationTokens.updateToken(meta.tokenId, { tokenType: fallback.channel });
+      }
+    });
+
+    logger.warn(
+      { messageId: message.id, channel: message.channel, fallback: fallback.channel },
+      "Outbox message failed, queued over fallback channel"
+    );
+
+    // Deliver the fallback message in this run rather than on the next poll
+    rerun = true;
+  };
+
+  const deliver = async (message) => {
+    const { outbox, smsOptOuts } = fastify.repos;
+    const eventRepo = message.eventId ? eventRepoFor(fastify.repos, message.channel) : undefined;
+    const attempts = message.attempts + 1;
+
+    if (
+      message.channel === "sms" &&
+      !message.meta?.essential &&
+      (await smsOptOuts.isOptedOut(message.recipient))
+    ) {
+      await outbox.markSuppressed(message.id, {
+        reason: "Recipient opted out",
+        meta: withoutFallback(message.meta),
+      });
+      await eventRepo?.updateStatus(message.eventId, { status: "suppressed" });
+      logger.info({ messageId: message.id }, "Outbox SMS suppressed, recipient opted out");
+      return;
+    }
+
+    let receipt;
+    try {
+      receipt = await SENDERS[message.channel](message);
+    } catch (error) {
+      const lastError = error.message;
+      logger.warn({ error, messageId: message.id, attempts }, "Outbox delivery attempt failed");
+
+      if (message.meta?.fallback) {
+        await fallBack(message, { attempts, lastError });
+        return;
+      }
+
+      if (attempts >= message.maxAttempts) {
+        await outbox.markFailed(message.id, {
+          attempts,
+          lastError,
+          meta: withoutFallback(message.meta),
+        });
+        await eventRepo?.updateStatus(message.eventId, { status: "failed" });
+        logger.error({ messageId: message.id, attempts }, "Outbox message failed permanently");
+        return;
+      }
+
+      await outbox.markRetry(message.id, {
+        attempts,
+        lastError,
+        nextAttemptAt: new Date(Date.now() + retryDelay(attempts)),
+      });
+      return;
+    }
+
+    await outbox.markSent(message.id, {
+      attempts,
+      provider: receipt.provider,
+      providerId: receipt.providerId,
+      meta: withoutFallback(message.meta),
+    });
+    await eventRepo?.updateStatus(message.eventId, {
+      status: "sent",
+      provider: receipt.provider,
+      providerId: receipt.providerId,
+    });
+
+    logger.info(
+      { messageId: message.id, channel: message.channel, attempts },
+      "Outbox message sent"
+    );
+  };
+
+  /**
+   * Deliver every due message.
+   * @returns {Promise<number>} Messages processed
+   */
+  const drain = async () => {
+    const { outbox } = fastify.repos;
+    let processed = 0;
+
+    for (;;) {
+      const now = new Date();
+      const due = await outbox.findDue({ now, limit: batchSize });
+
+      for (const message of due) {
+        const leaseUntil = new Date(now.getTime() + config.OUTBOX_LEASE_SECONDS * 1000);
+        if (await outbox.claim(message.id, { now, leaseUntil })) {
+          await deliver(message);
+          processed += 1;
+        }
+      }
+
+      if (due.length < batchSize) {
+        return processed;
+      }
+    }
+  };
+
+  // Single flight: a wake-up while draining runs one more pass afterwards
+  const run = () => {
+    if (running) {
+      rerun = true;
+      return running;
+    }
+
+    running = (async () => {
+      try {
+        do {
+          rerun = false;
+          await drain();
+        } while (rerun);
+      } catch (error) {
+        logger.error({ error }, "Outbox dispatch failed");
+      } finally {
+        running = null;
+      }
+    })();
+
+    return running;
+  };
+
+  return {
+    start() {
+      timer = setInterval(run, pollIntervalMs);
+      timer.unref();
+      run();
+    },
+
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      await running;
+    },
+
+    // Deliver newly committed messages now instead of on the next poll
+    wake() {
+      run();
+    },
+
+    drain: run,
+  };
+};
@@ -0,0 +1,26 @@
+import { randomUUID } from "crypto";
+import { appendFile } from "fs/promises";
+
+/**
+ * SMS/voice transport for local development: nothing is sent, each message is
+ * appended as a JSON line to a file and echoed to the console.
+ * @param {Object} options
+ * @param {string} options.channel - sms or voice, shown in the console
+ * @param {string} options.path - File the messages are appended to
+ * @returns {Object} Transport { name, send }
+ */
+export const createFilePhoneTransport = ({ channel, path }) => ({
+  name: "file",
+
+  async send({ phoneNumber, message }) {
+    const providerId = randomUUID();
+
+    await appendFile(
+      path,
+      `${JSON.stringify({ id: providerId, to: phoneNumber, message, sentAt: new Date() })}\n`
+    );
+    console.log(`[${channel}] to ${phoneNumber}: ${message}`);
+
+    return { provider: "file", providerId };
+  },
+});
@@ -0,0 +1,37 @@
+import { invokeMessageLambda } from "../lambda-client.js";
+
+/**
+ * SMS/voice transport backed by the channel's Lambda (SMS_LAMBDA_FUNCTION_NAME
+ * or VOICE_LAMBDA_FUNCTION_NAME).
+ * @param {Object} options
+ * @param {string} options.channel - sms or voice
+ * @returns {Object} Transport { name, send }
+ */
+export const createLambdaPhoneTransport = ({ channel }) => ({
+  name: "lambda",
+
+  /**
+   * @param {Object} params
+   * @param {string} params.phoneNumber - Recipient
+   * @param {string} params.message - Message content (read out in a voice call)
+   * @returns {Promise<Object>} { provider, providerId }
+   */
+  async send({ phoneNumber, message }) {
+    const lambdaResult = await invokeMessageLambda(channel, { phoneNumber, message });
+
+    // Lambda returns format: { statusCode: 200, body: "{...}" }
+    if (lambdaResult.statusCode !== 200) {
+      const errorBody = JSON.parse(lambdaResult.body || "{}");
+      throw new Error(
+        errorBody.error || `${channel} Lambda returned status ${lambdaResult.statusCode}`
+      );
+    }
+
+    const responseBody = JSON.parse(lambdaResult.body);
+
+    return {
+      provider: "lambda",
+      providerId: responseBody.messageId ?? responseBody.MessageId ?? responseBody.callId ?? null,
+    };
+  },
+});
@@ -0,0 +1,31 @@
+/**
+ * SMS/voice transport for tests: messages are kept in memory.
+ * @returns {Object} Transport { name, send, sent, lastMessageTo(phoneNumber), clear() }
+ *
+ * @example
+ * const transport = getSmsTransport();
+ * const { message } = transport.lastMessageTo("+61400000000");
+ */
+export const createMemoryPhoneTransport = () => {
+  const sent = [];
+
+  return {
+    name: "memory",
+    sent,
+
+    async send({ phoneNumber, message }) {
+      const providerId = `memory-${sent.length + 1}`;
+      sent.push({ providerId, phoneNumber, message, sentAt: new Date() });
+
+      return { provider: "memory", providerId };
+    },
+
+    lastMessageTo(phoneNumber) {
+      return sent.findLast((item) => item.phoneNumber === phoneNumber) ?? null;
+    },
+
+    clear() {
+      sent.length = 0;
+    },
+  };
+};
@@ -1,3 +1,49 @@
-export const sendEmail = async ({ emailAddress, message }) => {
-  return new Promise((resolve) => setTimeout(resolve, 3000));
+import { config } from "../config/config.js";
+import { getEmailTransport } from "./email-transports/index.js";
+import { escapeHtml, htmlDocument } from "../utils/html.js";
+
+/**
+ * Render a plain text body as minimal HTML, one paragraph per blank-line separated block.
+ * @param {string} text - Plain text body
+ * @returns {string} HTML document
+ */
+const textToHtml = (text) => {
+  const paragraphs = text
+    .split(/\n{2,}/)
+    .map((block) => `<p>${escapeHtml(block).replace(/\n/g, "<br>")}</p>`)
+    .join("\n");
+
+  return htmlDocument(paragraphs);
+};
+
+/**
+ * Send an email via the configured transport (EMAIL_TRANSPORT) from EMAIL_FROM
+ * @param {Object} params
+ * @param {string} params.emailAddress - Recipient
+ * @param {string} params.subject - Subject line
+ * @param {string} params.message - Plain text body
+ * @param {string} [params.html] - HTML body, rendered from the text body when omitted
+ * @returns {Promise<Object>} Returns { success: boolean, emailAddress: string, provider: string, providerId: string|null }
+ * @throws {Error} Throws error if sending fails
+ */
+export const sendEmail = async ({ emailAddress, subject, message, html }) => {
+  try {
+    const { provider, providerId } = await getEmailTransport().send({
+      from: config.EMAIL_FROM,
+      to: emailAddress,
+      subject,
+      text: message,
+      html: html ?? textToHtml(message),
+    });
+
+    return {
+      success: true,
+      emailAddress,
+      provider,
+      providerId,
+    };
+  } catch (error) {
+    console.error("Email sending failed:", error);
+    throw new Error(`Failed to send email: ${error.message}`);
+  }
 };
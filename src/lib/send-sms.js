@@ -1,31 +1,22 @@
-import { invokeSmsLambda } from "./lambda-client.js";
+import { getSmsTransport } from "./sms-transports/index.js";
 
 /**
- * Send SMS via Lambda function
+ * Send SMS via the configured transport (SMS_TRANSPORT)
  * @param {Object} params
  * @param {string} params.phoneNumber - Phone number to send SMS to
  * @param {string} params.message - SMS message content
- * @returns {Promise<Object>} Returns { success: boolean, phoneNumber: string, message: string }
+ * @returns {Promise<Object>} Returns { success: boolean, phoneNumber: string, provider: string, providerId: string|null }
  * @throws {Error} Throws error if sending fails
  */
 export const sendSms = async ({ phoneNumber, message }) => {
   try {
-    // Invoke Lambda function
-    const lambdaResult = await invokeSmsLambda({ phoneNumber, message });
-
-    // Lambda returns format: { statusCode: 200, body: "{...}" }
-    if (lambdaResult.statusCode !== 200) {
-      const errorBody = JSON.parse(lambdaResult.body || "{}");
-      throw new Error(errorBody.error || `SMS Lambda returned status ${lambdaResult.statusCode}`);
-    }
-
-    // Parse successful response
-    const responseBody = JSON.parse(lambdaResult.body);
+    const { provider, providerId } = await getSmsTransport().send({ phoneNumber, message });
 
     return {
       success: true,
-      phoneNumber: responseBody.phoneNumber,
-      message: responseBody.message,
+      phoneNumber,
+      provider,
+      providerId,
     };
   } catch (error) {
     console.error("SMS sending failed:", error);
@@ -0,0 +1,25 @@
+import { getVoiceTransport } from "./voice-transports/index.js";
+
+/**
+ * Read a message out in a voice call via the configured transport (VOICE_TRANSPORT)
+ * @param {Object} params
+ * @param {string} params.phoneNumber - Phone number to call
+ * @param {string} params.message - Text read out to the callee
+ * @returns {Promise<Object>} Returns { success: boolean, phoneNumber: string, provider: string, providerId: string|null }
+ * @throws {Error} Throws error if the call cannot be placed
+ */
+export const sendVoice = async ({ phoneNumber, message }) => {
+  try {
+    const { provider, providerId } = await getVoiceTransport().send({ phoneNumber, message });
+
+    return {
+      success: true,
+      phoneNumber,
+      provider,
+      providerId,
+    };
+  } catch (error) {
+    console.error("Voice call failed:", error);
+    throw new Error(`Failed to place voice call: ${error.message}`);
+  }
+};
@@ -0,0 +1,59 @@
+/**
+ * SMS transport for a generic HTTP provider.
+ *
+ * POSTs { to, from, message } as JSON to the configured URL with a bearer API
+ * key and reads the provider message ID from the JSON response.
+ *
+ * @param {Object} options
+ * @param {string} options.url - Provider send endpoint
+ * @param {string} [options.apiKey] - Sent as "Authorization: Bearer <apiKey>"
+ * @param {string} [options.sender] - Sender ID / number
+ * @param {string} [options.idField="id"] - Response field holding the message ID
+ * @param {string} [options.providerName="http"] - Name stored in sms_events.provider
+ * @param {number} [options.timeoutMs=10000] - Request timeout
+ * @returns {Object} Transport { name, send }
+ * @throws {Error} If no URL is configured
+ */
+export const createHttpSmsTransport = ({
+  url,
+  apiKey,
+  sender,
+  idField = "id",
+  providerName = "http",
+  timeoutMs = 10000,
+}) => {
+  if (!url) {
+    throw new Error("SMS_HTTP_URL must be configured for the http SMS transport");
+  }
+
+  return {
+    name: providerName,
+
+    async send({ phoneNumber, message }) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+        },
+        body: JSON.stringify({ to: phoneNumber, from: sender, message }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      const responseBody = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(
+          responseBody.error || responseBody.message || `SMS provider returned ${response.status}`
+        );
+      }
+
+      const providerId = responseBody[idField];
+
+      return {
+        provider: providerName,
+        providerId: providerId === undefined || providerId === null ? null : String(providerId),
+      };
+    },
+  };
+};
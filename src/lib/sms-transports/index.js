@@ -0,0 +1,51 @@
+import { config } from "../../config/config.js";
+import { createTransportRegistry } from "../transport-registry.js";
+import { createLambdaPhoneTransport } from "../phone-transports/lambda.js";
+import { createFilePhoneTransport } from "../phone-transports/file.js";
+import { createMemoryPhoneTransport } from "../phone-transports/memory.js";
+import { createHttpSmsTransport } from "./http.js";
+
+const registry = createTransportRegistry({
+  label: "SMS",
+  transports: {
+    lambda: () => createLambdaPhoneTransport({ channel: "sms" }),
+    http: () =>
+      createHttpSmsTransport({
+        url: config.SMS_HTTP_URL,
+        apiKey: config.SMS_HTTP_API_KEY,
+        sender: config.SMS_HTTP_SENDER,
+        idField: config.SMS_HTTP_ID_FIELD,
+        providerName: config.SMS_HTTP_PROVIDER_NAME,
+      }),
+    file: () => createFilePhoneTransport({ channel: "sms", path: config.SMS_FILE_PATH }),
+    memory: () => createMemoryPhoneTransport(),
+  },
+  selected: () => config.SMS_TRANSPORT,
+});
+
+/**
+ * Create an SMS transport by name.
+ *
+ * Every transport exposes `name` and `send({ phoneNumber, message })`, which
+ * resolves to `{ provider, providerId }` for sms_events.provider/providerId.
+ *
+ * @function
+ * @param {string} name - lambda, http, file or memory
+ * @returns {Object} Transport
+ * @throws {Error} If the transport is unknown or misconfigured
+ */
+export const createSmsTransport = registry.create;
+
+/**
+ * Get the transport selected by SMS_TRANSPORT, created on first use.
+ * @function
+ * @returns {Object} Transport
+ */
+export const getSmsTransport = registry.get;
+
+/**
+ * Replace the active transport, e.g. with an in-memory one in tests.
+ * @function
+ * @param {Object|null} nextTransport - Transport, or null to go back to SMS_TRANSPORT
+ */
+export const setSmsTransport = registry.set;
@@ -0,0 +1,173 @@
+import { readdirSync, readFileSync } from "fs";
+import { URL } from "url";
+import { config } from "../config/config.js";
+import { escapeHtml, htmlDocument } from "../utils/html.js";
+
+const TEMPLATES_DIR = new URL("../templates/messages/", import.meta.url);
+
+// Characters of the GSM 03.38 alphabet (incl. extension table). An SMS using only
+// these fits 160 characters in one segment, anything else is sent as UCS-2 (70).
+const GSM_7 =
+  /^[@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&'()*+,\-./0-9:;<=>?¡A-ZÄÖÑÜ§¿a-zäöñüà^{}\\[~\]|€]*$/;
+const SMS_SEGMENT_LENGTH = { gsm: 160, ucs2: 70 };
+
+// Longest values the variables take, used to check SMS templates fit one segment
+const SAMPLE_VARIABLES = { code: "0".repeat(config.OTP_LENGTH), expiryMinutes: "60" };
+
+/**
+ * Load every <locale>.json in src/templates/messages. Adding a language is adding a file.
+ * @returns {Object} Templates by locale, then message type
+ */
+const loadTemplates = () =>
+  Object.fromEntries(
+    readdirSync(TEMPLATES_DIR)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => [
+        file.slice(0, -".json".length).toLowerCase(),
+        JSON.parse(readFileSync(new URL(file, TEMPLATES_DIR), "utf-8")),
+      ])
+  );
+
+/**
+ * Replace {{name}} placeholders
+ * @param {string} template - Template text
+ * @param {Object} variables - Values by name
+ * @param {Function} [escape] - Applied to every value (HTML templates)
+ * @returns {string} Rendered text
+ */
+const interpolate = (template, variables, escape = String) =>
+  template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+    name in variables ? escape(variables[name]) : placeholder
+  );
+
+/**
+ * Maximum length of a single-segment SMS with this text's encoding
+ * @param {string} text - SMS text
+ * @returns {number} 160 (GSM-7) or 70 (UCS-2)
+ */
+const smsSegmentLength = (text) =>
+  GSM_7.test(text) ? SMS_SEGMENT_LENGTH.gsm : SMS_SEGMENT_LENGTH.ucs2;
+
+const TEMPLATES = loadTemplates();
+
+export const SUPPORTED_LOCALES = Object.keys(TEMPLATES);
+
+if (!TEMPLATES[config.DEFAULT_LOCALE]) {
+  throw new Error(`No message templates for DEFAULT_LOCALE ${config.DEFAULT_LOCALE}`);
+}
+
+// Fail at startup rather than sending multi-part codes
+for (const [locale, messages] of Object.entries(TEMPLATES)) {
+  for (const [type, variants] of Object.entries(messages)) {
+    if (!variants.sms) {
+      continue;
+    }
+
+    const text = interpolate(variants.sms, { ...SAMPLE_VARIABLES, appName: config.APP_NAME });
+    if (text.length > smsSegmentLength(text)) {
+      throw new Error(
+        `SMS template ${type} (${locale}) is longer than one segment (${smsSegmentLength(text)})`
+      );
+    }
+  }
+}
+
+/**
+ * Pick the locale to message someone in: their saved preference if supported,
+ * otherwise the best supported match from an Accept-Language header (by q value,
+ * "zh-CN" matching "zh"), otherwise DEFAULT_LOCALE.
+ *
+ * @function
+ * @param {Object} params
+ * @param {string} [params.preferred] - Customer's saved locale
+ * @param {string} [params.acceptLanguage] - Accept-Language header
+ * @returns {string} Supported locale
+ *
+ * @example
+ * resolveLocale({ acceptLanguage: "zh-CN,zh;q=0.9,en;q=0.8" }); // "zh"
+ */
+export const resolveLocale = ({ preferred, acceptLanguage } = {}) => {
+  const candidates = [];
+
+  if (preferred) {
+    candidates.push(preferred);
+  }
+
+  if (acceptLanguage) {
+    const ranges = acceptLanguage
+      .split(",")
+      .map((part) => {
+        const [tag, ...params] = part.trim().split(";");
+        const q = params.find((param) => param.trim().startsWith("q="));
+        return { tag, q: q ? Number(q.trim().slice(2)) : 1 };
+      })
+      .filter(({ tag, q }) => tag && tag !== "*" && q > 0)
+      .sort((a, b) => b.q - a.q);
+
+    candidates.push(...ranges.map(({ tag }) => tag));
+  }
+
+  for (const candidate of candidates) {
+    const tag = candidate.toLowerCase();
+    const match = [tag, tag.split("-")[0]].find((locale) => TEMPLATES[locale]);
+    if (match) {
+      return match;
+    }
+  }
+
+  return config.DEFAULT_LOCALE;
+};
+
+/**
+ * Render a message template for a channel.
+ *
+ * Variants fall back to the closest one available: voice to the SMS text, the
+ * email text to the SMS text, and a locale without the message type to
+ * DEFAULT_LOCALE. appName is always available as a variable. HTML is only
+ * returned when the template has an email html variant; values are escaped in it.
+ *
+ * @function
+ * @param {string} type - Message type, e.g. "otp.registration"
+ * @param {Object} params
+ * @param {string} params.channel - sms, voice or email
+ * @param {string} [params.locale] - Supported locale (see resolveLocale)
+ * @param {Object} [params.variables] - e.g. { code, expiryMinutes }
+ * @returns {Object} { locale, subject, body, html } (subject/html for email only)
+ * @throws {Error} If no locale has the message type
+ *
+ * @example
+ * const { subject, body, html } = renderMessage("otp.login", {
+ *   channel: "email",
+ *   locale: "en",
+ *   variables: { code: "123456", expiryMinutes: 5 },
+ * });
+ */
+export const renderMessage = (
+  type,
+  { channel, locale = config.DEFAULT_LOCALE, variables = {} }
+) => {
+  const messageLocale = TEMPLATES[locale]?.[type] ? locale : config.DEFAULT_LOCALE;
+  const variants = TEMPLATES[messageLocale][type];
+
+  if (!variants) {
+    throw new Error(`No message template ${type}`);
+  }
+
+  const values = { appName: config.APP_NAME, ...variables };
+
+  if (channel === "email") {
+    const email = variants.email ?? {};
+
+    return {
+      locale: messageLocale,
+      subject: interpolate(email.subject ?? config.APP_NAME, values),
+      body: interpolate(email.text ?? variants.sms, values),
+      html: email.html ? htmlDocument(interpolate(email.html, values, escapeHtml)) : undefined,
+    };
+  }
+
+  return {
+    locale: messageLocale,
+    body: interpolate((channel === "voice" && variants.voice) || variants.sms, values),
+  };
+};
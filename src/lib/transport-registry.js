@@ -0,0 +1,46 @@
+/**
+ * Transports of one channel selected by name from config, created on first use.
+ *
+ * @function
+ * @param {Object} options
+ * @param {string} options.label - Channel name used in errors ("SMS", "voice", "email")
+ * @param {Object} options.transports - Transport factories by name
+ * @param {Function} options.selected - Returns the configured transport name
+ * @returns {Object} { create(name), get(), set(transport) }
+ *
+ * @example
+ * const registry = createTransportRegistry({
+ *   label: "SMS",
+ *   transports: { memory: () => createMemoryPhoneTransport() },
+ *   selected: () => config.SMS_TRANSPORT,
+ * });
+ * await registry.get().send({ phoneNumber, message });
+ */
+export const createTransportRegistry = ({ label, transports, selected }) => {
+  let transport = null;
+
+  const create = (name) => {
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown ${label} transport ${name}`);
+    }
+
+    return factory();
+  };
+
+  return {
+    create,
+
+    get() {
+      if (!transport) {
+        transport = create(selected());
+      }
+
+      return transport;
+    },
+
+    set(nextTransport) {
+      transport = nextTransport;
+    },
+  };
+};
@@ -0,0 +1,54 @@
+import { config } from "../../config/config.js";
+import { createTransportRegistry } from "../transport-registry.js";
+import { createLambdaPhoneTransport } from "../phone-transports/lambda.js";
+import { createFilePhoneTransport } from "../phone-transports/file.js";
+import { createMemoryPhoneTransport } from "../phone-transports/memory.js";
+
+// Shared with SMS: the message is read out in a call instead of texted
+const TRANSPORTS = {
+  lambda: () => createLambdaPhoneTransport({ channel: "voice" }),
+  file: () => createFilePhoneTransport({ channel: "voice", path: config.VOICE_FILE_PATH }),
+  memory: () => createMemoryPhoneTransport(),
+};
+
+const registry = createTransportRegistry({
+  label: "voice",
+  transports: TRANSPORTS,
+  selected: () => config.VOICE_TRANSPORT,
+});
+
+/**
+ * Whether voice calls can be placed: a transport is selected (not "none") and
+ * the lambda transport has its function configured.
+ * @returns {boolean}
+ */
+export const isVoiceAvailable = () =>
+  Boolean(TRANSPORTS[config.VOICE_TRANSPORT]) &&
+  (config.VOICE_TRANSPORT !== "lambda" || Boolean(config.VOICE_LAMBDA_FUNCTION_NAME));
+
+/**
+ * Create a voice transport by name.
+ *
+ * Every transport exposes `name` and `send({ phoneNumber, message })`, which
+ * resolves to `{ provider, providerId }` for outbox_messages.provider/providerId.
+ *
+ * @function
+ * @param {string} name - lambda, file or memory
+ * @returns {Object} Transport
+ * @throws {Error} If the transport is unknown
+ */
+export const createVoiceTransport = registry.create;
+
+/**
+ * Get the transport selected by VOICE_TRANSPORT, created on first use.
+ * @function
+ * @returns {Object} Transport
+ */
+export const getVoiceTransport = registry.get;
+
+/**
+ * Replace the active transport, e.g. with an in-memory one in tests.
+ * @function
+ * @param {Object|null} nextTransport - Transport, or null to go back to VOICE_TRANSPORT
+ */
+export const setVoiceTransport = registry.set;
@@ -1,19 +1,96 @@
 import fp from "fastify-plugin";
 import { verifyAccessToken } from "../lib/jwt.js";
+import { getKeyRing } from "../lib/key-ring.js";
+import { ROLES } from "../config/permissions.js";
 
 /**
  * Authentication plugin for Fastify.
- * Provides fastify.authenticate decorator for JWT verification.
+ * Provides fastify.authenticate and fastify.authenticateOptional decorators for JWT verification.
  */
 async function authPlugin(fastify) {
+  // Load signing keys now so a misconfigured key ring fails at startup
+  const keyRing = getKeyRing();
+  if (keyRing.ephemeral) {
+    fastify.log.warn("JWT_SIGNING_KEYS not set, using an ephemeral signing key");
+  }
+
+  // request.user is null until one of the decorators resolves a token
+  fastify.decorateRequest("user", null);
+
+  /**
+   * Extract the Bearer token from the Authorization header.
+   *
+   * @param {Object} request - Fastify request object
+   * @returns {string|null} Token string, or null if no Authorization header was sent
+   * @throws {Error} If the header is present but not in "Bearer <token>" format
+   */
+  const extractBearerToken = (request) => {
+    const authHeader = request.headers.authorization;
+
+    if (!authHeader) {
+      return null;
+    }
+
+    const parts = authHeader.split(" ");
+    if (parts.length !== 2 || parts[0] !== "Bearer") {
+      throw new Error("Invalid authorization header format. Expected: Bearer <token>");
+    }
+
+    return parts[1];
+  };
+
+  /**
+   * Verify an access token and build the request.user payload.
+   *
+   * @param {string} token - JWT access token
+   * @returns {Promise<Object>} User data for request.user
+   * @throws {Error} If the token is invalid, expired, or its session was revoked
+   */
+  const resolveUser = async (token) => {
+    const decoded = verifyAccessToken(token);
+
+    // Reject tokens whose session was ended by logout or reuse detection
+    if (
+      decoded.sessionId &&
+      (await fastify.repos.refreshToken.isFamilyRevoked(decoded.sessionId))
+    ) {
+      throw new Error("Session has been revoked");
+    }
+
+    return {
+      customerId: decoded.customerId,
+      email: decoded.email,
+      deviceId: decoded.deviceId,
+      sessionId: decoded.sessionId,
+      // Tokens issued before roles were added carry no role claim
+      role: decoded.role || ROLES.CUSTOMER,
+      iat: decoded.iat,
+      exp: decoded.exp,
+    };
+  };
+
+  /**
+   * Send the standard 401 response.
+   *
+   * @param {Object} reply - Fastify reply object
+   * @param {string} message - Reason shown to the client
+   */
+  const sendUnauthorized = (reply, message) =>
+    reply.code(401).send({
+      success: false,
+      error: "Unauthorized",
+      message,
+    });
+
   /**
    * JWT authentication decorator.
-   * Verifies the Bearer token from Authorization header and attaches user data to request.
+   * Verifies the Bearer token from Authorization header, rejects tokens of revoked
+   * sessions and attaches user data to request.
    *
    * @function authenticate
    * @param {Object} request - Fastify request object
    * @param {Object} reply - Fastify reply object
-   * @throws {Error} 401 if token is missing, invalid, or expired
+   * @throws {Error} 401 if token is missing, invalid, expired, or its session was revoked
    *
    * @example
    * fastify.get('/protected', {
@@ -25,53 +102,59 @@ async function authPlugin(fastify) {
    */
   fastify.decorate("authenticate", async (request, reply) => {
     try {
-      // Extract token from Authorization header
-      const authHeader = request.headers.authorization;
-
-      if (!authHeader) {
-        return reply.code(401).send({
-          success: false,
-          error: "Unauthorized",
-          message: "Missing authorization header",
-        });
-      }
+      const token = extractBearerToken(request);
 
-      // Check for Bearer token format
-      const parts = authHeader.split(" ");
-      if (parts.length !== 2 || parts[0] !== "Bearer") {
-        return reply.code(401).send({
-          success: false,
-          error: "Unauthorized",
-          message: "Invalid authorization header format. Expected: Bearer <token>",
-        });
+      if (!token) {
+        return sendUnauthorized(reply, "Missing authorization header");
       }
 
-      const token = parts[1];
+      request.user = await resolveUser(token);
+    } catch (error) {
+      fastify.log.error({ error }, "JWT verification failed");
 
-      // Verify and decode token
-      const decoded = verifyAccessToken(token);
-      console.log("decoded: ", decoded);
+      return sendUnauthorized(reply, error.message || "Invalid or expired token");
+    }
+  });
+
+  /**
+   * Optional JWT authentication decorator.
+   * Anonymous requests (no Authorization header) continue with request.user = null.
+   * A token that is sent must be valid: malformed, expired or revoked tokens get
+   * the same 401 response as fastify.authenticate.
+   *
+   * @function authenticateOptional
+   * @param {Object} request - Fastify request object
+   * @param {Object} reply - Fastify reply object
+   * @throws {Error} 401 if a provided token is invalid, expired, or its session was revoked
+   *
+   * @example
+   * fastify.get('/content', {
+   *   preHandler: fastify.authenticateOptional
+   * }, async (request, reply) => {
+   *   const isAuthenticated = request.user !== null;
+   * });
+   */
+  fastify.decorate("authenticateOptional", async (request, reply) => {
+    try {
+      const token = extractBearerToken(request);
+
+      if (!token) {
+        request.user = null;
+        return;
+      }
 
-      // Attach user data to request
-      request.user = {
-        customerId: decoded.customerId,
-        email: decoded.email,
-        deviceId: decoded.deviceId,
-        iat: decoded.iat,
-        exp: decoded.exp,
-      };
+      request.user = await resolveUser(token);
     } catch (error) {
       fastify.log.error({ error }, "JWT verification failed");
 
-      return reply.code(401).send({
-        success: false,
-        error: "Unauthorized",
-        message: error.message || "Invalid or expired token",
-      });
+      return sendUnauthorized(reply, error.message || "Invalid or expired token");
     }
   });
 
   fastify.log.info("Authentication plugin registered");
 }
 
-export default fp(authPlugin);
+export default fp(authPlugin, {
+  name: "auth",
+  dependencies: ["repositories"],
+});
@@ -0,0 +1,35 @@
+import fp from "fastify-plugin";
+import { normalizeEmail } from "../utils/email.js";
+
+/**
+ * Rewrite body.email to its normalised form (trimmed, lowercased) on every route
+ * before schema validation. The address is otherwise kept as typed; aliases are
+ * only folded in its canonical form (customers.emailCanonical, email blocks).
+ */
+async function emailNormalizationPlugin(fastify) {
+  fastify.addHook("preValidation", async (request, reply) => {
+    const email = request.body?.email;
+
+    if (typeof email !== "string" || email === "") {
+      return;
+    }
+
+    const normalized = normalizeEmail(email);
+
+    if (!normalized) {
+      return reply.code(400).send({
+        success: false,
+        error: "INVALID_EMAIL",
+        message: "Email address is not valid",
+      });
+    }
+
+    request.body.email = normalized;
+  });
+
+  fastify.log.info("Email normalization initialized successfully");
+}
+
+export default fp(emailNormalizationPlugin, {
+  name: "email-normalization",
+});
@@ -6,7 +6,10 @@ import swaggerUI from "@fastify/swagger-ui";
 import { loggerPlugin } from "./logger.js";
 import prismaPlugin from "./prisma.js";
 import repositoriesPlugin from "./repositories.js";
+import outboxPlugin from "./outbox.js";
 import authPlugin from "./auth.js";
+import phoneNormalizationPlugin from "./phone-normalization.js";
+import emailNormalizationPlugin from "./email-normalization.js";
 
 export async function registerPlugins(fastify) {
   // Logger plugin
@@ -18,9 +21,18 @@ export async function registerPlugins(fastify) {
   // Repositories plugin - must be after prisma
   await fastify.register(repositoriesPlugin);
 
+  // Outbox dispatcher - delivers queued SMS/email in the background
+  await fastify.register(outboxPlugin);
+
   // Auth plugin - JWT authentication
   await fastify.register(authPlugin);
 
+  // Phone normalization - body.phone to E.164 before validation
+  await fastify.register(phoneNormalizationPlugin);
+
+  // Email normalization - body.email trimmed and lowercased before validation
+  await fastify.register(emailNormalizationPlugin);
+
   // CORS support - must be registered first
   await fastify.register(cors, {
     origin: true,
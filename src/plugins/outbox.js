@@ -0,0 +1,23 @@
+import fp from "fastify-plugin";
+import { createOutboxDispatcher } from "../lib/outbox.js";
+
+async function outboxPlugin(fastify) {
+  const dispatcher = createOutboxDispatcher(fastify);
+
+  fastify.decorate("outbox", dispatcher);
+
+  fastify.addHook("onReady", async () => {
+    dispatcher.start();
+  });
+
+  fastify.addHook("onClose", async () => {
+    await dispatcher.stop();
+  });
+
+  fastify.log.info("Outbox dispatcher initialized successfully");
+}
+
+export default fp(outboxPlugin, {
+  name: "outbox",
+  dependencies: ["repositories"],
+});
@@ -0,0 +1,34 @@
+import fp from "fastify-plugin";
+import { normalizePhone } from "../utils/phone.js";
+
+/**
+ * Rewrite body.phone to E.164 on every route before schema validation, so
+ * lookups, uniqueness checks and block matching all see one form of a number.
+ */
+async function phoneNormalizationPlugin(fastify) {
+  fastify.addHook("preValidation", async (request, reply) => {
+    const phone = request.body?.phone;
+
+    if (typeof phone !== "string" || phone === "") {
+      return;
+    }
+
+    const normalized = normalizePhone(phone);
+
+    if (!normalized) {
+      return reply.code(400).send({
+        success: false,
+        error: "INVALID_PHONE",
+        message: "Phone number is not valid",
+      });
+    }
+
+    request.body.phone = normalized;
+  });
+
+  fastify.log.info("Phone normalization initialized successfully");
+}
+
+export default fp(phoneNormalizationPlugin, {
+  name: "phone-normalization",
+});
@@ -5,27 +5,45 @@ import {
   BlocksRepo,
   CustomersRepo,
   DeviceRepo,
+  EmailEventsRepo,
+  OutboxRepo,
+  RefreshTokensRepo,
   RegistrationAttemptsRepo,
+  RegistrationSessionsRepo,
   RegistrationTokensRepo,
   SmsEventsRepo,
+  SmsOptOutsRepo,
 } from "../repo/index.js";
 
+/**
+ * Build the repositories on a Prisma client or interactive transaction client.
+ * @param {Object} prisma - PrismaClient or the `tx` passed to $transaction
+ * @returns {Object} Repositories
+ */
+const createRepositories = (prisma) => ({
+  account: new AccountsRepo(prisma),
+  block: new BlocksRepo(prisma),
+  customer: new CustomersRepo(prisma),
+  device: new DeviceRepo(prisma),
+  emailEvents: new EmailEventsRepo(prisma),
+  outbox: new OutboxRepo(prisma),
+  refreshToken: new RefreshTokensRepo(prisma),
+  registrationAttempt: new RegistrationAttemptsRepo(prisma),
+  registrationSessions: new RegistrationSessionsRepo(prisma),
+  registrationTokens: new RegistrationTokensRepo(prisma),
+  smsEvents: new SmsEventsRepo(prisma),
+  smsOptOuts: new SmsOptOutsRepo(prisma),
+});
+
 async function repositoriesPlugin(fastify) {
   if (!fastify.prisma) {
     throw new Error("Prisma plugin must be registered before repositories plugin");
   }
 
-  const repositories = {
-    account: new AccountsRepo(fastify.prisma),
-    block: new BlocksRepo(fastify.prisma),
-    customer: new CustomersRepo(fastify.prisma),
-    device: new DeviceRepo(fastify.prisma),
-    registrationAttempt: new RegistrationAttemptsRepo(fastify.prisma),
-    registrationTokens: new RegistrationTokensRepo(fastify.prisma),
-    smsEvents: new SmsEventsRepo(fastify.prisma),
-  };
+  fastify.decorate("repos", createRepositories(fastify.prisma));
 
-  fastify.decorate("repos", repositories);
+  // Repositories bound to a transaction: fastify.prisma.$transaction((tx) => work(fastify.reposFor(tx)))
+  fastify.decorate("reposFor", (tx) => createRepositories(tx));
 
   fastify.log.info("Repositories initialized successfully");
 }
@@ -1,3 +1,9 @@
+import { normalizePhone } from "../utils/phone.js";
+import { canonicalEmail } from "../utils/email.js";
+
+// Stored in the form requests are matched in, so blocks match every variant
+const NORMALIZERS = { phone: normalizePhone, email: canonicalEmail };
+
 /**
  * Repository for devices table
  * Handles all database operations for devices
@@ -12,7 +18,7 @@ export class BlocksRepo {
    * @param {Object} data - Block data
    * @param {string} data.id - Block ID (required)
    * @param {string} data.scope - Scope (required)
-   * @param {string} data.value - Value (required)
+   * @param {string} data.value - Value (required, phone numbers normalised, emails canonical)
    * @param {string} [data.reason] - Reason (optional)
    * @param {string} [data.source] - Source (optional)
    * @param {Date} [data.expiresAt] - Expiry time (optional)
@@ -28,7 +34,7 @@ export class BlocksRepo {
       data: {
         id,
         scope,
-        value,
+        value: NORMALIZERS[scope]?.(value) ?? value,
         reason,
         source,
         expiresAt,
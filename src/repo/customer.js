@@ -1,3 +1,5 @@
+import { canonicalEmail } from "../utils/email.js";
+
 /**
  * Repository for customers table
  */
@@ -16,6 +18,7 @@ export class CustomersRepo {
       data: {
         id,
         email,
+        emailCanonical: canonicalEmail(email),
         phone,
         passwordHash,
         firstName,
@@ -27,11 +30,27 @@ export class CustomersRepo {
   }
 
   /**
-   * Find by email
+   * Find by email, ignoring case (addresses stored before normalisation keep their case)
    */
   async findByEmail(email) {
+    return this.prisma.customers.findFirst({
+      where: { email: { equals: email, mode: "insensitive" } },
+    });
+  }
+
+  /**
+   * Find the customer holding an email address or one of its aliases
+   * @param {string} email - Email address
+   * @returns {Promise<Object|null>} Customer or null
+   */
+  async findByCanonicalEmail(email) {
+    const emailCanonical = canonicalEmail(email);
+    if (!emailCanonical) {
+      return null;
+    }
+
     return this.prisma.customers.findUnique({
-      where: { email },
+      where: { emailCanonical },
     });
   }
 
@@ -63,6 +82,7 @@ export class CustomersRepo {
    * @param {string} [data.lastName] - Last name
    * @param {string} [data.username] - Username
    * @param {string} [data.phone] - Phone number
+   * @param {string} [data.locale] - Preferred message locale
    * @returns {Promise<Object>} Updated customer
    */
   async update(customerId, data) {
@@ -79,12 +99,33 @@ export class CustomersRepo {
         lastName: true,
         username: true,
         phone: true,
+        locale: true,
         isActive: true,
         updatedAt: true,
       },
     });
   }
 
+  /**
+   * Replace customer password hash
+   * @param {string} customerId - Customer ID
+   * @param {string} passwordHash - New encoded password hash
+   * @returns {Promise<Object>} Updated customer
+   */
+  async updatePasswordHash(customerId, passwordHash) {
+    return this.prisma.customers.update({
+      where: { id: customerId },
+      data: {
+        passwordHash,
+        updatedAt: new Date(),
+      },
+      select: {
+        id: true,
+        updatedAt: true,
+      },
+    });
+  }
+
   /**
    * Check if username is already taken by another customer
    * @param {string} username - Username to check
@@ -0,0 +1,58 @@
+/**
+ * Repository for email_events table
+ */
+export class EmailEventsRepo {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Create email event
+   */
+  async create(data) {
+    const {
+      id,
+      email,
+      direction,
+      provider,
+      providerId,
+      status,
+      statusCode,
+      message,
+      meta,
+      devicesId,
+    } = data;
+
+    return this.prisma.email_events.create({
+      data: {
+        id,
+        email,
+        direction,
+        provider,
+        providerId,
+        status,
+        statusCode,
+        message,
+        meta,
+        devicesId,
+      },
+    });
+  }
+
+  /**
+   * Update the delivery status of an email event
+   * @param {string} id - Event ID
+   * @param {Object} params
+   * @param {string} params.status - queued, sent or failed
+   * @param {string} [params.provider] - Transport that sent the message
+   * @param {string} [params.providerId] - Provider message ID
+   * @param {string} [params.statusCode] - Provider status/error code
+   * @returns {Promise<Object>} Updated event
+   */
+  async updateStatus(id, { status, provider, providerId, statusCode }) {
+    return this.prisma.email_events.update({
+      where: { id },
+      data: { status, provider, providerId, statusCode },
+    });
+  }
+}
@@ -3,6 +3,11 @@ export { AccountsRepo } from "./account.js";
 export { BlocksRepo } from "./blocks.js";
 export { CustomersRepo } from "./customer.js";
 export { DeviceRepo } from "./device.js";
+export { EmailEventsRepo } from "./email-event.js";
+export { OutboxRepo } from "./outbox.js";
+export { RefreshTokensRepo } from "./refresh-tokens.js";
 export { RegistrationAttemptsRepo } from "./registration-attempts.js";
+export { RegistrationSessionsRepo } from "./registration-sessions.js";
 export { RegistrationTokensRepo } from "./registration-tokens.js";
 export { SmsEventsRepo } from "./sms-event.js";
+export { SmsOptOutsRepo } from "./sms-opt-outs.js";
@@ -0,0 +1,241 @@
+/**
+ * Repository for outbox_messages table
+ */
+export class OutboxRepo {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Queue a message for delivery
+   * @param {Object} data
+   * @param {string} data.id - Message ID
+   * @param {string} data.channel - sms, email or voice
+   * @param {string} data.recipient - Phone number or email address
+   * @param {string} [data.subject] - Email subject
+   * @param {string} data.body - Message content
+   * @param {string} [data.html] - Email HTML body
+   * @param {number} [data.maxAttempts] - Delivery attempts before giving up
+   * @param {string} [data.eventId] - sms_events/email_events row tracking the delivery
+   * @param {Object} [data.meta] - Purpose, token and fallback details
+   * @param {string} [data.purpose] - OTP purpose, set for verification codes only
+   * @param {string} [data.deviceId] - Device the message was requested from
+   * @param {string} [data.ip] - IP address the message was requested from
+   * @param {string} [data.codeId] - Code the message delivers, shared by all its messages
+   * @returns {Promise<Object>} Created message
+   */
+  async create(data) {
+    const {
+      id,
+      channel,
+      recipient,
+      subject,
+      body,
+      html,
+      maxAttempts,
+      eventId,
+      meta,
+      purpose,
+      deviceId,
+      ip,
+      codeId,
+    } = data;
+
+    return this.prisma.outbox_messages.create({
+      data: {
+        id,
+        channel,
+        recipient,
+        subject,
+        body,
+        html,
+        maxAttempts,
+        eventId,
+        meta,
+        purpose,
+        deviceId,
+        ip,
+        codeId,
+      },
+    });
+  }
+
+  /**
+   * Summarise verification codes queued since a point in time, on any channel
+   * (fallback messages included), for recipients, a device or an IP address.
+   * Messages delivering the same code ("both" channels, fallbacks) count once;
+   * messages without a codeId count one each.
+   * @param {Object} params
+   * @param {string} [params.purpose] - Only codes for this OTP purpose, any if omitted
+   * @param {Array<string>} [params.recipients] - Phone numbers and/or email addresses
+   * @param {string} [params.deviceId] - Device ID
+   * @param {string} [params.ip] - IP address
+   * @param {Date} params.since - Start of the window
+   * @returns {Promise<Object>} { count, firstSentAt, lastSentAt } (dates null when count is 0)
+   */
+  async getCodeSendStats({ purpose, recipients, deviceId, ip, since }) {
+    const codes = await this.prisma.outbox_messages.groupBy({
+      by: ["codeId"],
+      where: {
+        purpose: purpose ?? { not: null },
+        createdAt: { gte: since },
+        ...(recipients && { recipient: { in: recipients } }),
+        ...(deviceId && { deviceId }),
+        ...(ip && { ip }),
+      },
+      _count: { _all: true },
+      _min: { createdAt: true },
+      _max: { createdAt: true },
+    });
+
+    if (codes.length === 0) {
+      return { count: 0, firstSentAt: null, lastSentAt: null };
+    }
+
+    return {
+      count: codes.reduce((count, code) => count + (code.codeId ? 1 : code._count._all), 0),
+      firstSentAt: new Date(Math.min(...codes.map((code) => code._min.createdAt.getTime()))),
+      lastSentAt: new Date(Math.max(...codes.map((code) => code._max.createdAt.getTime()))),
+    };
+  }
+
+  /**
+   * Find messages due for delivery: pending ones whose next attempt is due and
+   * processing ones whose lease expired (the dispatcher holding them died)
+   * @param {Object} params
+   * @param {Date} params.now - Current time
+   * @param {number} params.limit - Maximum number of messages
+   * @returns {Promise<Array>} Messages, oldest due first
+   */
+  async findDue({ now, limit }) {
+    return this.prisma.outbox_messages.findMany({
+      where: {
+        status: { in: ["pending", "processing"] },
+        nextAttemptAt: { lte: now },
+      },
+      orderBy: { nextAttemptAt: "asc" },
+      take: limit,
+    });
+  }
+
+  /**
+   * Take a due message for delivery until leaseUntil. Only one dispatcher can
+   * claim a message, so several API instances can share the outbox.
+   * @param {string} id - Message ID
+   * @param {Object} params
+   * @param {Date} params.now - Current time
+   * @param {Date} params.leaseUntil - When another dispatcher may take the message over
+   * @returns {Promise<boolean>} True if this caller claimed the message
+   */
+  async claim(id, { now, leaseUntil }) {
+    const { count } = await this.prisma.outbox_messages.updateMany({
+      where: {
+        id,
+        status: { in: ["pending", "processing"] },
+        nextAttemptAt: { lte: now },
+      },
+      data: {
+        status: "processing",
+        nextAttemptAt: leaseUntil,
+        updatedAt: now,
+      },
+    });
+
+    return count === 1;
+  }
+
+  /**
+   * Mark a message as delivered
+   * @param {string} id - Message ID
+   * @param {Object} params
+   * @param {number} params.attempts - Attempts made
+   * @param {string} [params.provider] - Transport that sent the message
+   * @param {string} [params.providerId] - Provider message ID
+   * @param {Object} params.meta - Meta to keep (without the fallback message)
+   */
+  async markSent(id, { attempts, provider, providerId, meta }) {
+    const now = new Date();
+
+    return this.prisma.outbox_messages.update({
+      where: { id },
+      data: {
+        status: "sent",
+        attempts,
+        provider,
+        providerId,
+        // The body holds the code, it is not kept once delivered
+        body: null,
+        html: null,
+        meta,
+        lastError: null,
+        sentAt: now,
+        updatedAt: now,
+      },
+    });
+  }
+
+  /**
+   * Put a message back in the queue after a failed attempt
+   * @param {string} id - Message ID
+   * @param {Object} params
+   * @param {number} params.attempts - Attempts made
+   * @param {Date} params.nextAttemptAt - When to retry
+   * @param {string} params.lastError - Failure reason
+   */
+  async markRetry(id, { attempts, nextAttemptAt, lastError }) {
+    return this.prisma.outbox_messages.update({
+      where: { id },
+      data: {
+        status: "pending",
+        attempts,
+        nextAttemptAt,
+        lastError,
+        updatedAt: new Date(),
+      },
+    });
+  }
+
+  /**
+   * Give up on a message
+   * @param {string} id - Message ID
+   * @param {Object} params
+   * @param {number} params.attempts - Attempts made
+   * @param {string} params.lastError - Failure reason
+   * @param {Object} params.meta - Meta to keep (without the fallback message)
+   */
+  async markFailed(id, { attempts, lastError, meta }) {
+    return this.prisma.outbox_messages.update({
+      where: { id },
+      data: {
+        status: "failed",
+        attempts,
+        lastError,
+        body: null,
+        html: null,
+        meta,
+        updatedAt: new Date(),
+      },
+    });
+  }
+
+  /**
+   * Drop a message without sending it (e.g. the recipient opted out)
+   * @param {string} id - Message ID
+   * @param {Object} params
+   * @param {string} params.reason - Why the message was not sent
+   * @param {Object} params.meta - Meta to keep (without the fallback message)
+   */
+  async markSuppressed(id, { reason, meta }) {
+    return this.prisma.outbox_messages.update({
+      where: { id },
+      data: {
+        status: "suppressed",
+        lastError: reason,
+        body: null,
+        html: null,
+        meta,
+        updatedAt: new Date(),
+      },
+    });
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Repository for refresh_tokens table
+ * Every issued refresh token is stored by its jti. Tokens produced by rotating
+ * the same login share a familyId, so a whole chain can be revoked at once.
+ */
+export class RefreshTokensRepo {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Create a refresh token record
+   * @param {Object} data - Refresh token data
+   * @param {string} data.id - Token ID (jti)
+   * @param {string} data.customerId - Customer the token belongs to
+   * @param {string} data.familyId - Token family (one per sign-in)
+   * @param {Date} data.expiresAt - Expiry time
+   * @param {string} [data.ip] - IP address the token was issued to
+   * @param {string} [data.userAgent] - User agent the token was issued to
+   * @param {string} [data.devicesId] - Device the token is bound to
+   * @returns {Promise<Object>} Created refresh token
+   */
+  async create(data) {
+    const { id, customerId, familyId, expiresAt, ip, userAgent, devicesId } = data;
+
+    return this.prisma.refresh_tokens.create({
+      data: {
+        id,
+        customerId,
+        familyId,
+        expiresAt,
+        ip,
+        userAgent,
+        devicesId,
+        status: "active",
+      },
+    });
+  }
+
+  /**
+   * Find refresh token by ID (jti)
+   * @param {string} id - Token ID
+   * @returns {Promise<Object|null>} Refresh token or null
+   */
+  async findById(id) {
+    return this.prisma.refresh_tokens.findUnique({
+      where: { id },
+    });
+  }
+
+  /**
+   * Mark an active token as consumed and link it to its successor.
+   * Only succeeds while the token is still active, so two concurrent
+   * refreshes with the same token cannot both rotate it.
+   * @param {string} id - Token ID being rotated
+   * @param {string} replacedById - ID of the successor token
+   * @returns {Promise<boolean>} True if the token was consumed by this call
+   */
+  async consume(id, replacedById) {
+    const { count } = await this.prisma.refresh_tokens.updateMany({
+      where: { id, status: "active" },
+      data: {
+        status: "consumed",
+        consumedAt: new Date(),
+        replacedById,
+      },
+    });
+
+    return count === 1;
+  }
+
+  /**
+   * Revoke every token in a family
+   * @param {string} familyId - Token family ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  async revokeFamily(familyId, reason) {
+    const { count } = await this.prisma.refresh_tokens.updateMany({
+      where: { familyId, status: { not: "revoked" } },
+      data: {
+        status: "revoked",
+        revokedAt: new Date(),
+        revokedReason: reason,
+      },
+    });
+
+    return count;
+  }
+
+  /**
+   * Revoke every token issued to a customer
+   * @param {string} customerId - Customer ID
+   * @param {string} reason - Revocation reason
+   * @param {Object} [options]
+   * @param {string} [options.exceptFamilyId] - Session (token family) to keep signed in
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  async revokeAllForCustomer(customerId, reason, { exceptFamilyId } = {}) {
+    const { count } = await this.prisma.refresh_tokens.updateMany({
+      where: {
+        customerId,
+        status: { not: "revoked" },
+        ...(exceptFamilyId && { familyId: { not: exceptFamilyId } }),
+      },
+      data: {
+        status: "revoked",
+        revokedAt: new Date(),
+        revokedReason: reason,
+      },
+    });
+
+    return count;
+  }
+
+  /**
+   * Check whether a session (token family) has been revoked
+   * @param {string} familyId - Token family ID
+   * @returns {Promise<boolean>} True if the family was revoked
+   */
+  async isFamilyRevoked(familyId) {
+    const revoked = await this.prisma.refresh_tokens.findFirst({
+      where: { familyId, status: "revoked" },
+      select: { id: true },
+    });
+
+    return !!revoked;
+  }
+
+  /**
+   * Find the active token of every live session of a customer, with its device
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Array>} Active refresh tokens including device details
+   */
+  async findActiveByCustomer(customerId) {
+    return this.prisma.refresh_tokens.findMany({
+      where: {
+        customerId,
+        status: "active",
+        expiresAt: { gt: new Date() },
+      },
+      include: {
+        devices: {
+          select: {
+            id: true,
+            deviceName: true,
+            os: true,
+            osVersion: true,
+            ip: true,
+            lastUsedAt: true,
+          },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+  }
+
+  /**
+   * Get the time each session (token family) was first issued
+   * @param {Array<string>} familyIds - Token family IDs
+   * @returns {Promise<Map<string, Date>>} Map of familyId to first issued time
+   */
+  async findFamilyStartTimes(familyIds) {
+    const groups = await this.prisma.refresh_tokens.groupBy({
+      by: ["familyId"],
+      where: { familyId: { in: familyIds } },
+      _min: { createdAt: true },
+    });
+
+    return new Map(groups.map((group) => [group.familyId, group._min.createdAt]));
+  }
+
+  /**
+   * Find the latest token of a session owned by a customer
+   * @param {string} familyId - Token family ID
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object|null>} Latest refresh token of the session or null
+   */
+  async findLatestInFamily(familyId, customerId) {
+    return this.prisma.refresh_tokens.findFirst({
+      where: { familyId, customerId },
+      orderBy: { createdAt: "desc" },
+    });
+  }
+}
+
+export default RefreshTokensRepo;
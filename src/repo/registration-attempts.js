@@ -106,20 +106,24 @@ export class RegistrationAttemptsRepo {
    * @param {string} [criteria.email] - Email address
    * @param {string} [criteria.phone] - Phone number
    * @param {string} [criteria.ip] - IP address
+   * @param {string} [criteria.deviceId] - Device ID
    * @param {string} [criteria.action] - Action type
+   * @param {Array<string>} [criteria.actions] - Any of these action types
    * @param {string} [criteria.result] - Result
    * @param {Date} [criteria.since] - Filter attempts since this date
    * @returns {Promise<number>} Count of attempts
    */
   async count(criteria = {}) {
-    const { email, phone, ip, action, result, since } = criteria;
+    const { email, phone, ip, deviceId, action, actions, result, since } = criteria;
 
     return await this.prisma.registration_attempts.count({
       where: {
         ...(email && { email }),
         ...(phone && { phone }),
         ...(ip && { ip }),
+        ...(deviceId && { deviceId }),
         ...(action && { action }),
+        ...(actions && { action: { in: actions } }),
         ...(result && { result }),
         ...(since && { createdAt: { gte: since } }),
       },
@@ -0,0 +1,79 @@
+/**
+ * Repository for registration_sessions table
+ */
+export class RegistrationSessionsRepo {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Start a registration session
+   * @param {Object} data
+   * @param {string} data.id - Session ID (returned to the client as registrationId)
+   * @param {string} data.customerId - Inactive customer being registered
+   * @param {string} data.email - Email address
+   * @param {string} data.phone - Phone number
+   * @param {string} data.deviceId - Device registering
+   * @param {string} [data.channel] - Where the verification code is sent
+   * @param {Date} data.expiresAt - When the registration can no longer be resumed
+   * @returns {Promise<Object>} Created session
+   */
+  async create(data) {
+    const { id, customerId, email, phone, deviceId, channel, expiresAt } = data;
+
+    return this.prisma.registration_sessions.create({
+      data: {
+        id,
+        customerId,
+        email,
+        phone,
+        channel,
+        expiresAt,
+        status: "initiated",
+        devicesId: deviceId,
+      },
+    });
+  }
+
+  /**
+   * Find session by ID
+   * @param {string} id - Session ID
+   * @returns {Promise<Object|null>} Session or null
+   */
+  async findById(id) {
+    return this.prisma.registration_sessions.findUnique({
+      where: { id },
+    });
+  }
+
+  /**
+   * Find the most recent session of a customer
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object|null>} Session or null
+   */
+  async findLatestByCustomer(customerId) {
+    return this.prisma.registration_sessions.findFirst({
+      where: { customerId },
+      orderBy: { createdAt: "desc" },
+    });
+  }
+
+  /**
+   * Move a session to another status if it is still in one of the expected ones,
+   * so concurrent requests cannot both make the same transition
+   * @param {string} id - Session ID
+   * @param {Object} params
+   * @param {Array<string>} params.from - Statuses the session may be in
+   * @param {string} params.to - New status
+   * @param {Object} [params.data] - Other fields to set (tokenId, verifiedAt, ...)
+   * @returns {Promise<boolean>} True if the session was updated
+   */
+  async transition(id, { from, to, data = {} }) {
+    const { count } = await this.prisma.registration_sessions.updateMany({
+      where: { id, status: { in: from } },
+      data: { ...data, status: to, updatedAt: new Date() },
+    });
+
+    return count === 1;
+  }
+}
@@ -8,6 +8,7 @@ export class RegistrationTokensRepo {
 
   /**
    * Create a registration token
+   * Only the keyed hash of the OTP is stored; the legacy token column stays empty.
    */
   async create(data) {
     const {
@@ -17,13 +18,13 @@ export class RegistrationTokensRepo {
       firstName,
       lastName,
       passwordHash,
-      token,
       tokenHash,
       tokenType,
       ip,
       deviceFingerprint,
       expiresAt,
       status,
+      purpose,
       meta,
       devicesId,
     } = data;
@@ -36,13 +37,13 @@ export class RegistrationTokensRepo {
         firstName,
         lastName,
         passwordHash,
-        token,
         tokenHash,
         tokenType,
         ip,
         deviceFingerprint,
         expiresAt,
         status,
+        purpose,
         meta,
         devicesId,
       },
@@ -63,15 +64,25 @@ export class RegistrationTokensRepo {
   }
 
   /**
-   * Increment attempt count
+   * Use up one verification attempt, unless maxAttempts have been made. The
+   * check and the increment are one statement, so parallel guesses cannot all
+   * get through on the same count.
+   * @param {string} id - Token ID
+   * @param {number} maxAttempts - Attempts allowed for the token
+   * @returns {Promise<boolean>} True if an attempt was left and is now taken
    */
-  async incrementAttempts(id) {
-    return this.prisma.registration_tokens.update({
-      where: { id },
+  async incrementAttempts(id, maxAttempts) {
+    const { count } = await this.prisma.registration_tokens.updateMany({
+      where: {
+        id,
+        attempts: { lt: maxAttempts },
+      },
       data: {
         attempts: { increment: 1 },
       },
     });
+
+    return count === 1;
   }
 
   /**
@@ -107,9 +118,10 @@ export class RegistrationTokensRepo {
    * @param {string} [params.phone]
    * @param {string} [params.email]
    * @param {string} params.deviceId
+   * @param {string} [params.purpose="registration"] - What the token was issued for
    * @returns {Promise<Object|null>}
    */
-  async findActiveToken({ phone, email, deviceId }) {
+  async findActiveToken({ phone, email, deviceId, purpose = "registration" }) {
     if (!deviceId) {
       throw new Error("deviceId is required");
     }
@@ -134,6 +146,7 @@ export class RegistrationTokensRepo {
           gt: now,
         },
         devicesId: deviceId,
+        purpose,
         ...(phone && { phone }),
         ...(email && { email }),
       },
@@ -153,15 +166,17 @@ export class RegistrationTokensRepo {
    * @param {string} params.phone - Phone number
    * @param {string} params.email - Email address
    * @param {string} params.deviceId - Device ID
+   * @param {string} [params.purpose="registration"] - What the token was issued for
    * @returns {Promise<Object|null>} registration_token record or null
    */
-  async findByCustomerAndDetails({ phone, email, deviceId }) {
+  async findByCustomerAndDetails({ phone, email, deviceId, purpose = "registration" }) {
     return this.prisma.registration_tokens.findFirst({
       where: {
         phone,
         email,
         devicesId: deviceId,
         status: "pending",
+        purpose,
       },
       orderBy: {
         createdAt: "desc",
@@ -173,8 +188,8 @@ export class RegistrationTokensRepo {
    * Update token record with new OTP and expiration time
    * @param {string} id - Token ID
    * @param {Object} updateData - Data to update
-   * @param {string} updateData.token - New OTP
-   * @param {string} updateData.tokenHash - Hash of new OTP
+   * @param {null} [updateData.token] - Legacy plaintext column, only ever cleared
+   * @param {string} updateData.tokenHash - Keyed hash of new OTP (see hashOtp)
    * @param {Date} updateData.expiresAt - New expiration time
    * @param {number} [updateData.attempts] - Reset attempts count
    * @returns {Promise<Object>} Updated token record
@@ -39,6 +39,87 @@ export class SmsEventsRepo {
     });
   }
 
+  /**
+   * Find SMS event by ID
+   * @param {string} id - Event ID
+   * @returns {Promise<Object|null>} Event or null
+   */
+  async findById(id) {
+    return this.prisma.sms_events.findUnique({
+      where: { id },
+    });
+  }
+
+  /**
+   * Find the event for a provider message ID
+   * @param {string} providerId - Provider message ID
+   * @param {string} [provider] - Narrow to one provider when IDs may clash across providers
+   * @returns {Promise<Object|null>} Latest matching event or null
+   */
+  async findByProviderId(providerId, provider) {
+    return this.prisma.sms_events.findFirst({
+      where: {
+        providerId,
+        ...(provider && { provider }),
+      },
+      orderBy: { createdAt: "desc" },
+    });
+  }
+
+  /**
+   * Update the delivery status of an SMS event and append it to meta.statusHistory.
+   * The row is locked while its status and history are read and written, so
+   * concurrent reports (provider webhooks, outbox retries) cannot drop each other's
+   * entries or move the event from a status another report just left.
+   * @param {string} id - Event ID
+   * @param {Object} params
+   * @param {string} params.status - queued, sent, delivered, failed or undeliverable
+   * @param {Array<string>} [params.from] - Statuses the event may be in, any if omitted
+   * @param {string} [params.provider] - Transport that sent the message
+   * @param {string} [params.providerId] - Provider message ID
+   * @param {string} [params.statusCode] - Provider status/error code
+   * @param {Date} [params.occurredAt] - When the provider reported the status
+   * @returns {Promise<Object|null>} Updated event, or null if it is not in one of the from statuses
+   */
+  async updateStatus(
+    id,
+    { status, from, provider, providerId, statusCode, occurredAt = new Date() }
+  ) {
+    const append = async (prisma) => {
+      await prisma.$queryRaw`SELECT id FROM sms_events WHERE id = ${id} FOR UPDATE`;
+
+      const event = await prisma.sms_events.findUnique({
+        where: { id },
+        select: { status: true, meta: true },
+      });
+      if (from && !from.includes(event?.status)) {
+        return null;
+      }
+
+      const meta = event?.meta ?? {};
+
+      return prisma.sms_events.update({
+        where: { id },
+        data: {
+          status,
+          provider,
+          providerId,
+          statusCode,
+          meta: {
+            ...meta,
+            statusHistory: [
+              ...(meta.statusHistory ?? []),
+              { status, statusCode: statusCode ?? null, at: occurredAt, recordedAt: new Date() },
+            ],
+          },
+        },
+      });
+    };
+
+    // Repositories bound to a transaction (fastify.reposFor(tx)) run inside it
+    return this.prisma.$transaction ? this.prisma.$transaction(append) : append(this.prisma);
+  }
+
   /**
    * Find latest SMS by phone
    */
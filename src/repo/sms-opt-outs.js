@@ -0,0 +1,64 @@
+import { randomUUID } from "crypto";
+
+/**
+ * Repository for sms_opt_outs table
+ */
+export class SmsOptOutsRepo {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Whether a phone number has opted out of non-essential SMS
+   * @param {string} phone - Phone number
+   * @returns {Promise<boolean>}
+   */
+  async isOptedOut(phone) {
+    const optOut = await this.prisma.sms_opt_outs.findUnique({
+      where: { phone },
+      select: { status: true },
+    });
+
+    return optOut?.status === "opted_out";
+  }
+
+  /**
+   * Add a phone number to the opt-out list
+   * @param {string} phone - Phone number
+   * @param {Object} params
+   * @param {string} params.keyword - Keyword received (e.g. STOP)
+   * @returns {Promise<Object>} Opt-out record
+   */
+  async optOut(phone, { keyword }) {
+    const now = new Date();
+
+    return this.prisma.sms_opt_outs.upsert({
+      where: { phone },
+      create: {
+        id: randomUUID(),
+        phone,
+        status: "opted_out",
+        keyword,
+        optedOutAt: now,
+        updatedAt: now,
+      },
+      update: { status: "opted_out", keyword, optedOutAt: now, optedInAt: null, updatedAt: now },
+    });
+  }
+
+  /**
+   * Take a phone number off the opt-out list
+   * @param {string} phone - Phone number
+   * @param {Object} params
+   * @param {string} params.keyword - Keyword received (e.g. UNSTOP)
+   * @returns {Promise<Object>} Update result ({ count })
+   */
+  async optIn(phone, { keyword }) {
+    const now = new Date();
+
+    return this.prisma.sms_opt_outs.updateMany({
+      where: { phone, status: "opted_out" },
+      data: { status: "opted_in", keyword, optedInAt: now, updatedAt: now },
+    });
+  }
+}
@@ -1,18 +1,101 @@
-import { RefreshTokenBody, RefreshTokenResponse, AuthErrorResponse } from "../schemas/auth.js";
+import { Type } from "@sinclair/typebox";
+import {
+  RefreshTokenBody,
+  RefreshTokenResponse,
+  AuthErrorResponse,
+  LoginBody,
+  LoginResponse,
+  LogoutResponse,
+  SessionListItem,
+  SessionIdParams,
+  RevokeSessionQuery,
+  RevokeSessionResponse,
+  ForgotPasswordBody,
+  ResetPasswordBody,
+  PasswordResetResponse,
+} from "../schemas/auth.js";
 import { SuccessResponse } from "../schemas/common.js";
-import { refreshAccessToken } from "../flow/auth-flow.js";
+import { login, logout, logoutAll, refreshAccessToken } from "../flow/auth-flow.js";
+import { listSessions, revokeSession } from "../flow/session-flow.js";
+import { requestPasswordReset, resetPassword } from "../flow/password-reset-flow.js";
 
 /**
  * Authentication routes
- * Handles token refresh and authentication-related endpoints
+ * Handles login, logout, sessions, token refresh, password reset and authentication-related endpoints
  */
 export default async function authRoutes(fastify) {
+  /**
+   * Password login
+   * POST /auth/login
+   *
+   * Sign in a registered customer with email or phone and password.
+   * Returns the same access/refresh token pair as OTP verification.
+   */
+  fastify.post(
+    "/login",
+    {
+      schema: {
+        tags: ["Authentication"],
+        summary: "Login with password",
+        description:
+          "Sign in a registered customer using email or phone and password. " +
+          "Failed attempts are recorded and rate limited.",
+        body: LoginBody,
+        response: {
+          200: SuccessResponse(LoginResponse),
+          400: AuthErrorResponse,
+          401: AuthErrorResponse,
+          403: AuthErrorResponse,
+          429: AuthErrorResponse,
+          500: AuthErrorResponse,
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const result = await login(request, fastify);
+
+        return reply.code(200).send({
+          success: true,
+          data: result,
+        });
+      } catch (error) {
+        if (error.name === "AuthFlowError") {
+          const { statusCode, details } = error;
+          request.log.warn({ error: error.message }, "Login failed");
+
+          return reply.code(statusCode).send({
+            success: false,
+            error: details.error || "AUTH_ERROR",
+            message: details.message || error.message,
+          });
+        }
+
+        if (error.name === "BlockedAccountError") {
+          request.log.warn({ error: error.message }, "Login blocked");
+          return reply.code(403).send({
+            success: false,
+            error: "Forbidden",
+            message: error.message,
+          });
+        }
+
+        request.log.error({ error }, "Login error");
+        return reply.code(500).send({
+          success: false,
+          error: "Internal Server Error",
+          message: "Failed to login",
+        });
+      }
+    }
+  );
+
   /**
    * Refresh access token
    * POST /auth/refresh
    *
    * Exchange a valid refresh token for a new access token and refresh token.
-   * Implements token rotation for enhanced security.
+   * Implements token rotation with reuse detection for enhanced security.
    */
   fastify.post(
     "/refresh",
@@ -22,14 +105,16 @@ export default async function authRoutes(fastify) {
         summary: "Refresh access token",
         description:
           "Exchange a valid refresh token for a new access token and refresh token. " +
-          "The old refresh token becomes invalid after use (token rotation).",
+          "The old refresh token becomes invalid after use (token rotation). " +
+          "Presenting an already rotated token revokes every token from that sign-in.",
         body: RefreshTokenBody,
         headers: {
           type: "object",
           properties: {
             "x-device-id": {
               type: "string",
-              description: "Optional device identifier for tracking",
+              description:
+                "Device the refresh token was issued to, required for tokens bound to a device",
             },
           },
         },
@@ -86,4 +171,327 @@ export default async function authRoutes(fastify) {
       }
     }
   );
+
+  /**
+   * Logout
+   * POST /auth/logout
+   *
+   * End the current session: its refresh token family is revoked and
+   * access tokens of the session are rejected by fastify.authenticate.
+   */
+  fastify.post(
+    "/logout",
+    {
+      preHandler: fastify.authenticate,
+      schema: {
+        tags: ["Authentication"],
+        summary: "Logout current session",
+        description:
+          "Revoke the current session (refresh token family). " +
+          'The body is optional: pass { "refreshToken": "..." } to revoke its session as well.',
+        security: [{ bearerAuth: [] }],
+        response: {
+          200: SuccessResponse(LogoutResponse),
+          401: AuthErrorResponse,
+          500: AuthErrorResponse,
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const result = await logout(request, fastify);
+
+        return reply.code(200).send({
+          success: true,
+          data: result,
+        });
+      } catch (error) {
+        fastify.log.error({ error }, "Logout failed");
+
+        if (error.message.includes("Invalid") || error.message.includes("expired")) {
+          return reply.code(401).send({
+            success: false,
+            error: "Unauthorized",
+            message: "Invalid refresh token",
+          });
+        }
+
+        return reply.code(500).send({
+          success: false,
+          error: "Internal Server Error",
+          message: "Failed to logout",
+        });
+      }
+    }
+  );
+
+  /**
+   * Logout everywhere
+   * POST /auth/logout-all
+   *
+   * Revoke every session of the authenticated customer.
+   */
+  fastify.post(
+    "/logout-all",
+    {
+      preHandler: fastify.authenticate,
+      schema: {
+        tags: ["Authentication"],
+        summary: "Logout all sessions",
+        description: "Revoke every session of the authenticated customer on all devices.",
+        security: [{ bearerAuth: [] }],
+        response: {
+          200: SuccessResponse(LogoutResponse),
+          401: AuthErrorResponse,
+          500: AuthErrorResponse,
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const result = await logoutAll(request, fastify);
+
+        return reply.code(200).send({
+          success: true,
+          data: result,
+        });
+      } catch (error) {
+        fastify.log.error({ error }, "Logout all failed");
+
+        return reply.code(500).send({
+          success: false,
+          error: "Internal Server Error",
+          message: "Failed to logout all sessions",
+        });
+      }
+    }
+  );
+
+  /**
+   * List sessions
+   * GET /auth/sessions
+   *
+   * List every device the customer is currently signed in on.
+   */
+  fastify.get(
+    "/sessions",
+    {
+      preHandler: fastify.authenticate,
+      schema: {
+        tags: ["Authentication"],
+        summary: "List active sessions",
+        description:
+          "List the active sessions of the authenticated customer with device details. " +
+          "The session the request was made with is marked with isCurrent.",
+        security: [{ bearerAuth: [] }],
+        response: {
+          200: SuccessResponse(Type.Array(SessionListItem)),
+          401: AuthErrorResponse,
+          500: AuthErrorResponse,
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const sessions = await listSessions(request, fastify);
+
+        return reply.code(200).send({
+          success: true,
+          data: sessions,
+        });
+      } catch (error) {
+        fastify.log.error({ error }, "Failed to list sessions");
+
+        return reply.code(500).send({
+          success: false,
+          error: "Internal Server Error",
+          message: "Failed to list sessions",
+        });
+      }
+    }
+  );
+
+  /**
+   * Revoke session
+   * DELETE /auth/sessions/:id
+   *
+   * Sign a device out, optionally deactivating the device as well.
+   */
+  fastify.delete(
+    "/sessions/:id",
+    {
+      preHandler: fastify.authenticate,
+      schema: {
+        tags: ["Authentication"],
+        summary: "Revoke a session",
+        description:
+          "Revoke one session of the authenticated customer. " +
+          "Set deactivateDevice=true to also deactivate the device (e.g. a lost phone).",
+        security: [{ bearerAuth: [] }],
+        params: SessionIdParams,
+        querystring: RevokeSessionQuery,
+        response: {
+          200: SuccessResponse(RevokeSessionResponse),
+          401: AuthErrorResponse,
+          404: AuthErrorResponse,
+          500: AuthErrorResponse,
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const result = await revokeSession(request, fastify);
+
+        return reply.code(200).send({
+          success: true,
+          data: result,
+        });
+      } catch (error) {
+        if (error.name === "AuthFlowError") {
+          const { statusCode, details } = error;
+
+          return reply.code(statusCode).send({
+            success: false,
+            error: details.error,
+            message: details.message,
+          });
+        }
+
+        fastify.log.error({ error }, "Failed to revoke session");
+
+        return reply.code(500).send({
+          success: false,
+          error: "Internal Server Error",
+          message: "Failed to revoke session",
+        });
+      }
+    }
+  );
+
+  /**
+   * Forgot password
+   * POST /auth/password/forgot
+   *
+   * Send a password reset code to the customer's email or phone.
+   */
+  fastify.post(
+    "/password/forgot",
+    {
+      schema: {
+        tags: ["Authentication"],
+        summary: "Request a password reset code",
+        description:
+          "Send a password reset code to the given email or phone. " +
+          "The response is the same whether or not an account matches.",
+        body: ForgotPasswordBody,
+        response: {
+          200: SuccessResponse(PasswordResetResponse),
+          400: AuthErrorResponse,
+          403: AuthErrorResponse,
+          500: AuthErrorResponse,
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const result = await requestPasswordReset(request, fastify);
+
+        return reply.code(200).send({
+          success: true,
+          data: result,
+        });
+      } catch (error) {
+        if (error.name === "AuthFlowError") {
+          const { statusCode, details } = error;
+          request.log.warn({ error: error.message }, "Password reset request rejected");
+
+          return reply.code(statusCode).send({
+            success: false,
+            error: details.error || "AUTH_ERROR",
+            message: details.message || error.message,
+          });
+        }
+
+        if (error.name === "BlockedAccountError") {
+          request.log.warn({ error: error.message }, "Password reset request blocked");
+          return reply.code(403).send({
+            success: false,
+            error: "Forbidden",
+            message: error.message,
+          });
+        }
+
+        request.log.error({ error }, "Password reset request error");
+        return reply.code(500).send({
+          success: false,
+          error: "Internal Server Error",
+          message: "Failed to request password reset",
+        });
+      }
+    }
+  );
+
+  /**
+   * Reset password
+   * POST /auth/password/reset
+   *
+   * Set a new password with a reset code. Signs the customer out everywhere.
+   */
+  fastify.post(
+    "/password/reset",
+    {
+      schema: {
+        tags: ["Authentication"],
+        summary: "Reset password with a code",
+        description:
+          "Verify a password reset code and set a new password. " +
+          "All existing sessions of the customer are revoked.",
+        body: ResetPasswordBody,
+        response: {
+          200: SuccessResponse(PasswordResetResponse),
+          400: AuthErrorResponse,
+          403: AuthErrorResponse,
+          429: AuthErrorResponse,
+          500: AuthErrorResponse,
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const result = await resetPassword(request, fastify);
+
+        return reply.code(200).send({
+          success: true,
+          data: result,
+        });
+      } catch (error) {
+        if (error.name === "AuthFlowError") {
+          const { statusCode, details } = error;
+          request.log.warn({ error: error.message }, "Password reset failed");
+
+          return reply.code(statusCode).send({
+            success: false,
+            error: details.error || "AUTH_ERROR",
+            message: details.message || error.message,
+          });
+        }
+
+        if (error.name === "BlockedAccountError") {
+          request.log.warn({ error: error.message }, "Password reset blocked");
+          return reply.code(403).send({
+            success: false,
+            error: "Forbidden",
+            message: error.message,
+          });
+        }
+
+        request.log.error({ error }, "Password reset error");
+        return reply.code(500).send({
+          success: false,
+          error: "Internal Server Error",
+          message: "Failed to reset password",
+        });
+      }
+    }
+  );
 }
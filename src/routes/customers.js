@@ -5,8 +5,15 @@ import {
   InactiveCustomerBody,
   CustomerResponse,
   InactiveCustomerResponse,
+  ChangePasswordBody,
+  ChangePasswordResponse,
 } from "../schemas/customer.js";
-import { updateCustomerInfo, deactivateCustomerAccount } from "../flow/customer-flow.js";
+import {
+  updateCustomerInfo,
+  deactivateCustomerAccount,
+  changePassword,
+} from "../flow/customer-flow.js";
+import { hasPermission } from "../config/permissions.js";
 
 // Example route using Prisma
 export default async function customersRoutes(fastify) {
@@ -17,7 +24,7 @@ export default async function customersRoutes(fastify) {
       preHandler: fastify.authenticate, // JWT verification required
       schema: {
         tags: ["customers"],
-        description: "Get customer by ID (only own data or admin access)",
+        description: "Get customer by ID (own data, or any customer for managers)",
         summary: "Get customer (requires authentication)",
         security: [{ bearerAuth: [] }],
         params: Type.Object({
@@ -62,10 +69,10 @@ export default async function customersRoutes(fastify) {
     },
     async (request, reply) => {
       const { id } = request.params;
-      const currentUserId = request.user.customerId;
+      const { customerId: currentUserId, role } = request.user;
 
-      // Only allow users to access their own data (or admin can access any)
-      if (currentUserId !== id) {
+      // Only allow users to access their own data (or roles allowed to read any customer)
+      if (currentUserId !== id && !hasPermission(role, "customers:read:any")) {
         return reply.code(403).send({
           success: false,
           error: "Forbidden: You can only access this information",
@@ -149,7 +156,8 @@ export default async function customersRoutes(fastify) {
         // Handle specific errors
         if (
           error.message.includes("already taken") ||
-          error.message.includes("already registered")
+          error.message.includes("already registered") ||
+          error.message.includes("not supported")
         ) {
           return reply.code(400).send({
             success: false,
@@ -241,4 +249,73 @@ export default async function customersRoutes(fastify) {
       }
     }
   );
+
+  // POST /api/customers/password - Change current user's password
+  fastify.post(
+    "/password",
+    {
+      preHandler: fastify.authenticate, // JWT verification required
+      schema: {
+        tags: ["customers"],
+        description:
+          "Change authenticated customer's password. Requires the current password; " +
+          "set signOutOtherSessions to revoke every other session.",
+        summary: "Change password (requires authentication)",
+        security: [{ bearerAuth: [] }],
+        body: ChangePasswordBody,
+        response: {
+          200: SuccessResponse(ChangePasswordResponse),
+          400: Type.Object({
+            success: Type.Boolean(),
+            error: Type.String(),
+            message: Type.String(),
+          }),
+          401: Type.Object({
+            success: Type.Boolean(),
+            error: Type.String(),
+            message: Type.String(),
+          }),
+          404: Type.Object({
+            success: Type.Boolean(),
+            error: Type.String(),
+            message: Type.String(),
+          }),
+          429: Type.Object({
+            success: Type.Boolean(),
+            error: Type.String(),
+            message: Type.String(),
+          }),
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const result = await changePassword(request, fastify);
+
+        return reply.code(200).send({
+          success: true,
+          data: result,
+        });
+      } catch (error) {
+        if (error.name === "AuthFlowError") {
+          const { statusCode, details } = error;
+          request.log.warn({ error: error.message }, "Password change rejected");
+
+          return reply.code(statusCode).send({
+            success: false,
+            error: details.error,
+            message: details.message,
+          });
+        }
+
+        request.log.error({ error }, "Failed to change password");
+
+        return reply.code(500).send({
+          success: false,
+          error: "Failed to change password",
+          message: error.message,
+        });
+      }
+    }
+  );
 }
@@ -3,6 +3,8 @@ import deviceRoutes from "./device.js";
 import registrationRoutes from "./registration.js";
 import otpRoutes from "./otp.js";
 import authRoutes from "./auth.js";
+import wellKnownRoutes from "./well-known.js";
+import webhookRoutes from "./webhooks.js";
 
 export function registerRoutes(fastify) {
   // Register API routes with prefix
@@ -11,6 +13,8 @@ export function registerRoutes(fastify) {
   fastify.register(deviceRoutes, { prefix: "/api/device" });
   fastify.register(otpRoutes, { prefix: "/api/otp" });
   fastify.register(authRoutes, { prefix: "/api/auth" });
+  fastify.register(webhookRoutes, { prefix: "/api/webhooks" });
+  fastify.register(wellKnownRoutes, { prefix: "/.well-known" });
 
   fastify.log.info("Routes registered successfully");
 }
@@ -4,7 +4,7 @@ import { Type } from "@sinclair/typebox";
 import { resendOtp } from "../flow/otp-flow.js";
 
 // Schemas
-import { ResendOtpBody, ResendOtpResponse } from "../schemas/otp.js";
+import { ResendOtpBody, ResendOtpResponse, OtpLimitResponse } from "../schemas/otp.js";
 import { SuccessResponse } from "../schemas/common.js";
 
 /**
@@ -17,7 +17,9 @@ export default async function otpRoutes(fastify) {
     {
       schema: {
         tags: ["otp"],
-        description: "resend OTP with cooldown protection",
+        description:
+          "resend OTP with escalating cooldowns (e.g. 30s, 2m, 5m, 15m) and daily limits " +
+          "per phone, device and IP",
         summary: "OTP resend with cooldown protection",
         body: ResendOtpBody,
         response: {
@@ -32,12 +34,7 @@ export default async function otpRoutes(fastify) {
             error: Type.String(),
             message: Type.String(),
           }),
-          429: Type.Object({
-            success: Type.Boolean(),
-            error: Type.String(),
-            message: Type.String(),
-            retryAfter: Type.String({ format: "date-time" }),
-          }),
+          429: OtpLimitResponse,
           500: Type.Object({
             success: Type.Boolean(),
             error: Type.String(),
@@ -74,13 +71,16 @@ export default async function otpRoutes(fastify) {
         if (error.name === "OtpFlowError") {
           const { statusCode, details } = error;
 
-          // Handle cooldown period error (429)
-          if (details.error === "OTP_COOLDOWN_PERIOD") {
-            return reply.code(429).send({
+          // Handle cooldown period and daily limit errors (429)
+          if (details.error === "OTP_COOLDOWN_PERIOD" || details.error === "OTP_DAILY_LIMIT") {
+            const retryAfterSeconds = Math.ceil((details.retryAfter.getTime() - Date.now()) / 1000);
+
+            return reply.code(429).header("Retry-After", Math.max(retryAfterSeconds, 0)).send({
               success: false,
               error: details.error,
               message: details.message,
               retryAfter: details.retryAfter.toISOString(),
+              remainingQuota: details.remainingQuota,
             });
           }
 
@@ -223,11 +223,16 @@ export default async function protectedRoutes(fastify) {
               customerId: Type.Optional(Type.String()),
             }),
           }),
+          401: Type.Object({
+            success: Type.Boolean(),
+            error: Type.String(),
+            message: Type.String(),
+          }),
         },
       },
     },
     async (request, reply) => {
-      // request.user will be null if no valid token provided
+      // request.user is null when no token was provided (invalid tokens get a 401)
       const isAuthenticated = request.user !== null;
 
       return reply.code(200).send({
@@ -2,10 +2,20 @@ import { Type } from "@sinclair/typebox";
 
 // service flow
 import { userRegister } from "../flow/register-flow.js";
+import { checkAvailability } from "../flow/registration-check-flow.js";
+import { getRegistrationStatus } from "../flow/registration-session-flow.js";
 
 // schema
-import { CreateRegistrationAttemptBody } from "../schemas/registration.js";
+import {
+  CreateRegistrationAttemptBody,
+  RegistrationCheckBody,
+  RegistrationCheckResponse,
+  RegistrationInitResponse,
+  RegistrationStatusParams,
+  RegistrationStatusResponse,
+} from "../schemas/registration.js";
 import { Error400Schema, Error500Schema, SuccessResponse } from "../schemas/common.js";
+import { OtpLimitResponse } from "../schemas/otp.js";
 import { VerifyOtpBody } from "../schemas/verify.js";
 import { verification } from "../flow/verification-flow.js";
 import { RegistrationFlowError } from "../custom-error/flow/registration-flow.js";
@@ -14,26 +24,83 @@ import { RegistrationFlowError } from "../custom-error/flow/registration-flow.js
  * Registration routes
  */
 export default async function registrationRoutes(fastify) {
+  // POST /api/registration/check - Whether an email/phone can still register
+  fastify.post(
+    "/check",
+    {
+      schema: {
+        tags: ["registration"],
+        description:
+          "Check whether an email address and/or phone number is still available for " +
+          "registration. Rate limited per IP and device.",
+        summary: "Check email/phone availability",
+        body: RegistrationCheckBody,
+        response: {
+          200: SuccessResponse(RegistrationCheckResponse),
+          400: Error400Schema,
+          429: Error400Schema,
+          500: Error500Schema,
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const availability = await checkAvailability(request, fastify);
+
+        return reply.code(200).send({
+          success: true,
+          data: availability,
+        });
+      } catch (error) {
+        if (error.name === "RegistrationFlowError") {
+          const { statusCode, details } = error;
+
+          return reply.code(statusCode).send({
+            success: false,
+            error: details.error,
+            message: details.message,
+          });
+        }
+
+        if (error.name === "BlockedAccountError") {
+          return reply.code(400).send({
+            success: false,
+            error: "Invalid Device",
+            message: error.message,
+          });
+        }
+
+        request.log.error(error, "Registration availability check error");
+        return reply.code(500).send({
+          success: false,
+          error: "Internal Server Error",
+          message: "Failed to check availability",
+        });
+      }
+    }
+  );
+
   // POST /api/registration/init - Record a registration attempt
   fastify.post(
     "/init",
     {
       schema: {
         tags: ["registration"],
-        description: "Record a registration attempt",
+        description:
+          "Record a registration attempt and send a verification code. Registering again " +
+          "with the email/phone of an unfinished registration resumes it from the same " +
+          "device, otherwise restarts it.",
         summary: "Create registration attempt",
         body: CreateRegistrationAttemptBody,
         response: {
-          201: SuccessResponse(
-            Type.Object({
-              customerId: Type.String(),
-            })
-          ),
+          201: SuccessResponse(RegistrationInitResponse),
           400: Type.Object({
             success: Type.Boolean(),
             error: Type.String(),
             message: Type.String(),
           }),
+          409: Error400Schema,
+          429: Type.Union([OtpLimitResponse, Error400Schema]),
           500: Type.Object({
             success: Type.Boolean(),
             error: Type.String(),
@@ -51,12 +118,18 @@ export default async function registrationRoutes(fastify) {
           throw new RegistrationFlowError("Missing required fields: phone, email, deviceId, ip");
         }
 
-        const { customerId } = await userRegister(request, fastify);
+        const { customerId, registrationId, status, resumed } = await userRegister(
+          request,
+          fastify
+        );
 
         return reply.code(201).send({
           success: true,
           data: {
             customerId,
+            registrationId,
+            status,
+            resumed,
           },
         });
       } catch (error) {
@@ -68,6 +141,15 @@ export default async function registrationRoutes(fastify) {
             error: "Invalid Device",
             message: error.message,
           });
+        } else if (error.name === "RegistrationFlowError" && error.details.error) {
+          // EMAIL_TAKEN/PHONE_TAKEN, REGISTRATION_STATE_CONFLICT (409) and TOO_MANY_LOOKUPS (429)
+          const { statusCode, details } = error;
+          request.log.warn({ error: details.error }, "Registration rejected");
+          return reply.code(statusCode).send({
+            success: false,
+            error: details.error,
+            message: details.message,
+          });
         } else if (error.name === "RegistrationFlowError") {
           request.log.warn({ error: error.message }, "Registration Error");
           return reply.code(400).send({
@@ -75,6 +157,16 @@ export default async function registrationRoutes(fastify) {
             error: "Registration Error",
             message: error.message,
           });
+        } else if (error.name === "OtpFlowError" && error.statusCode === 429) {
+          const { details } = error;
+          request.log.warn({ error: error.message }, "OTP sending limit reached");
+          return reply.code(429).send({
+            success: false,
+            error: details.error,
+            message: details.message,
+            retryAfter: details.retryAfter.toISOString(),
+            remainingQuota: details.remainingQuota,
+          });
         } else if (error.message.includes("Missing required fields")) {
           request.log.warn({ error: error.message }, "Missing required fields");
           return reply.code(400).send({
@@ -94,6 +186,53 @@ export default async function registrationRoutes(fastify) {
     }
   );
 
+  // GET /api/registration/:id/status - Where a registration is
+  fastify.get(
+    "/:id/status",
+    {
+      schema: {
+        tags: ["registration"],
+        description:
+          "Get the state of a registration: initiated, otp_sent, verified, completed, " +
+          "expired or abandoned",
+        summary: "Get registration status",
+        params: RegistrationStatusParams,
+        response: {
+          200: SuccessResponse(RegistrationStatusResponse),
+          404: Error400Schema,
+          500: Error500Schema,
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const status = await getRegistrationStatus(request, fastify);
+
+        return reply.code(200).send({
+          success: true,
+          data: status,
+        });
+      } catch (error) {
+        if (error.name === "RegistrationFlowError") {
+          const { statusCode, details } = error;
+
+          return reply.code(statusCode).send({
+            success: false,
+            error: details.error,
+            message: details.message,
+          });
+        }
+
+        request.log.error(error, "Registration status error");
+        return reply.code(500).send({
+          success: false,
+          error: "Internal Server Error",
+          message: "Failed to get registration status",
+        });
+      }
+    }
+  );
+
   // POST /api/registration/verify - Very OTP basing on email, device,
   fastify.post(
     "/verify",
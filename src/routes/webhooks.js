@@ -0,0 +1,129 @@
+import {
+  InboundSmsBody,
+  InboundSmsResponse,
+  SmsStatusReportBody,
+  SmsStatusReportResponse,
+  WebhookErrorResponse,
+} from "../schemas/webhook.js";
+import { SuccessResponse } from "../schemas/common.js";
+import { handleInboundSms, handleSmsStatusReport } from "../flow/sms-webhook-flow.js";
+
+/**
+ * Webhook routes
+ * Callbacks from messaging providers, authenticated by HMAC signature
+ */
+export default async function webhookRoutes(fastify) {
+  // Keep the body exactly as received for signature verification (scoped to these routes),
+  // then parse it like Fastify does, rejecting __proto__ and constructor.prototype keys
+  const parseJson = fastify.getDefaultJsonParser("error", "error");
+  fastify.addContentTypeParser("application/json", { parseAs: "string" }, (request, body, done) => {
+    request.rawBody = body;
+    parseJson(request, body, done);
+  });
+
+  /**
+   * SMS delivery report
+   * POST /api/webhooks/sms/status
+   *
+   * Signed with X-Signature: sha256=<hex HMAC of "<X-Signature-Timestamp>.<raw body>">.
+   */
+  fastify.post(
+    "/sms/status",
+    {
+      schema: {
+        tags: ["webhooks"],
+        summary: "SMS delivery report",
+        description:
+          "Provider delivery report for an SMS. Moves the matching SMS event to delivered, " +
+          "failed or undeliverable. Requires X-Signature and X-Signature-Timestamp headers.",
+        body: SmsStatusReportBody,
+        response: {
+          200: SuccessResponse(SmsStatusReportResponse),
+          401: WebhookErrorResponse,
+          404: WebhookErrorResponse,
+          500: WebhookErrorResponse,
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const result = await handleSmsStatusReport(request, fastify);
+
+        return reply.code(200).send({
+          success: true,
+          data: result,
+        });
+      } catch (error) {
+        if (error.name === "WebhookFlowError") {
+          const { statusCode, details } = error;
+
+          return reply.code(statusCode).send({
+            success: false,
+            error: details.error,
+            message: details.message,
+          });
+        }
+
+        request.log.error({ error }, "SMS delivery report error");
+        return reply.code(500).send({
+          success: false,
+          error: "Internal Server Error",
+          message: "Failed to process delivery report",
+        });
+      }
+    }
+  );
+
+  /**
+   * Inbound SMS
+   * POST /api/webhooks/sms/inbound
+   *
+   * Signed like the delivery report.
+   */
+  fastify.post(
+    "/sms/inbound",
+    {
+      schema: {
+        tags: ["webhooks"],
+        summary: "Inbound SMS",
+        description:
+          "Message sent to one of our numbers. STOP opts the sender out of non-essential SMS, " +
+          "UNSTOP opts them back in and HELP sends the help reply. Requires X-Signature and " +
+          "X-Signature-Timestamp headers.",
+        body: InboundSmsBody,
+        response: {
+          200: SuccessResponse(InboundSmsResponse),
+          401: WebhookErrorResponse,
+          500: WebhookErrorResponse,
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const result = await handleInboundSms(request, fastify);
+
+        return reply.code(200).send({
+          success: true,
+          data: result,
+        });
+      } catch (error) {
+        if (error.name === "WebhookFlowError") {
+          const { statusCode, details } = error;
+
+          return reply.code(statusCode).send({
+            success: false,
+            error: details.error,
+            message: details.message,
+          });
+        }
+
+        request.log.error({ error }, "Inbound SMS error");
+        return reply.code(500).send({
+          success: false,
+          error: "Internal Server Error",
+          message: "Failed to process inbound SMS",
+        });
+      }
+    }
+  );
+}
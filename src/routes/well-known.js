@@ -0,0 +1,35 @@
+import { JwksResponse } from "../schemas/auth.js";
+import { getKeyRing } from "../lib/key-ring.js";
+
+/**
+ * Well-known routes
+ * Public discovery documents for other services
+ */
+export default async function wellKnownRoutes(fastify) {
+  /**
+   * JSON Web Key Set
+   * GET /.well-known/jwks.json
+   *
+   * Public keys (active and retiring) used to verify access tokens, selected by kid.
+   */
+  fastify.get(
+    "/jwks.json",
+    {
+      schema: {
+        tags: ["Authentication"],
+        summary: "JSON Web Key Set",
+        description:
+          "Public keys for verifying access tokens. Pick the key matching the token's kid header.",
+        response: {
+          200: JwksResponse,
+        },
+      },
+    },
+    async (_request, reply) => {
+      return reply
+        .code(200)
+        .header("Cache-Control", "public, max-age=300")
+        .send(getKeyRing().toJwks());
+    }
+  );
+}
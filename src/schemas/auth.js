@@ -1,4 +1,5 @@
 import { Type } from "@sinclair/typebox";
+import { PhoneNumber } from "./common.js";
 
 /**
  * Request body schema for refresh token endpoint
@@ -36,3 +37,180 @@ export const AuthErrorResponse = Type.Object({
   error: Type.String(),
   message: Type.String(),
 });
+
+/**
+ * Request body schema for password login endpoint
+ * Either email or phone must be provided to identify the customer.
+ */
+export const LoginBody = Type.Object({
+  email: Type.Optional(
+    Type.String({
+      format: "email",
+      description: "Registered email address",
+    })
+  ),
+  phone: Type.Optional(PhoneNumber({ description: "Registered phone number" })),
+  password: Type.String({
+    minLength: 1,
+    description: "Account password",
+  }),
+  deviceId: Type.String({
+    minLength: 1,
+    description: "Device ID the customer is signing in from",
+  }),
+});
+
+/**
+ * Response schema for successful login
+ */
+export const LoginResponse = Type.Object({
+  customerId: Type.String({
+    description: "Authenticated customer ID",
+  }),
+  accessToken: Type.String({
+    description: "JWT access token",
+  }),
+  refreshToken: Type.String({
+    description: "JWT refresh token",
+  }),
+  expiresIn: Type.Number({
+    description: "Access token expiration time in seconds",
+  }),
+  tokenType: Type.String({
+    description: "Token type (Bearer)",
+  }),
+});
+
+/**
+ * Response schema for logout endpoints
+ */
+export const LogoutResponse = Type.Object({
+  revokedTokens: Type.Number({
+    description: "Number of refresh tokens revoked",
+  }),
+});
+
+/**
+ * Session item returned by the session listing endpoint
+ */
+export const SessionListItem = Type.Object({
+  id: Type.String({
+    description: "Session ID (used to revoke the session)",
+  }),
+  deviceId: Type.Union([Type.String(), Type.Null()]),
+  deviceName: Type.Union([Type.String(), Type.Null()]),
+  os: Type.Union([Type.String(), Type.Null()]),
+  osVersion: Type.Union([Type.String(), Type.Null()]),
+  ip: Type.Union([Type.String(), Type.Null()]),
+  lastUsedAt: Type.Union([Type.String({ format: "date-time" }), Type.Null()]),
+  signedInAt: Type.String({ format: "date-time" }),
+  lastRefreshedAt: Type.String({ format: "date-time" }),
+  isCurrent: Type.Boolean({
+    description: "Whether this is the session the request was made with",
+  }),
+});
+
+/**
+ * URL params for session revocation
+ */
+export const SessionIdParams = Type.Object({
+  id: Type.String({ minLength: 1 }),
+});
+
+/**
+ * Query string for session revocation
+ */
+export const RevokeSessionQuery = Type.Object({
+  deactivateDevice: Type.Optional(
+    Type.Boolean({
+      default: false,
+      description: "Also deactivate the device the session was signed in on",
+    })
+  ),
+});
+
+/**
+ * Response schema for session revocation
+ */
+export const RevokeSessionResponse = Type.Object({
+  id: Type.String(),
+  revokedTokens: Type.Number(),
+  deviceDeactivated: Type.Boolean(),
+});
+
+/**
+ * Public key in JSON Web Key format
+ */
+export const JsonWebKey = Type.Object(
+  {
+    kty: Type.String(),
+    kid: Type.String(),
+    alg: Type.String(),
+    use: Type.String(),
+    crv: Type.Optional(Type.String()),
+    x: Type.Optional(Type.String()),
+    y: Type.Optional(Type.String()),
+    n: Type.Optional(Type.String()),
+    e: Type.Optional(Type.String()),
+  },
+  { additionalProperties: false }
+);
+
+/**
+ * Response schema for the JWKS endpoint (RFC 7517 key set, not wrapped)
+ */
+export const JwksResponse = Type.Object({
+  keys: Type.Array(JsonWebKey),
+});
+
+/**
+ * Request body schema for forgot password endpoint
+ * Either email or phone must be provided; the code is sent to that channel.
+ */
+export const ForgotPasswordBody = Type.Object({
+  email: Type.Optional(
+    Type.String({
+      format: "email",
+      description: "Registered email address",
+    })
+  ),
+  phone: Type.Optional(PhoneNumber({ description: "Registered phone number" })),
+  deviceId: Type.String({
+    minLength: 1,
+    description: "Device ID requesting the reset",
+  }),
+});
+
+/**
+ * Request body schema for reset password endpoint
+ */
+export const ResetPasswordBody = Type.Object({
+  email: Type.Optional(
+    Type.String({
+      format: "email",
+      description: "Registered email address",
+    })
+  ),
+  phone: Type.Optional(PhoneNumber({ description: "Registered phone number" })),
+  otp: Type.String({
+    minLength: 1,
+    description: "Password reset code",
+  }),
+  newPassword: Type.String({
+    minLength: 1,
+    description: "New account password (checked against the password policy)",
+  }),
+  deviceId: Type.String({
+    minLength: 1,
+    description: "Device ID the reset was requested from",
+  }),
+});
+
+/**
+ * Response schema for password reset endpoints
+ */
+export const PasswordResetResponse = Type.Object({
+  message: Type.String({
+    description: "Outcome message",
+  }),
+});
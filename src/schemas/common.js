@@ -1,4 +1,5 @@
 import { Type } from "@sinclair/typebox";
+import { E164_PATTERN } from "../utils/phone.js";
 
 /**
  * Common response schemas
@@ -9,6 +10,10 @@ export const SuccessResponse = (dataSchema) =>
     data: Type.Optional(dataSchema),
   });
 
+// Phone number, normalized to E.164 before validation (see plugins/phone-normalization.js)
+export const PhoneNumber = (options = {}) =>
+  Type.String({ pattern: E164_PATTERN, description: "Phone number", ...options });
+
 export const Error400Schema = Type.Object({
   success: Type.Boolean(),
   error: Type.String(),
@@ -1,18 +1,26 @@
 import { Type } from "@sinclair/typebox";
-import { DateTimeString } from "./common.js";
+import { DateTimeString, PhoneNumber } from "./common.js";
 
 // Request schemas
 export const UpdateCustomerBody = Type.Object({
   firstName: Type.Optional(Type.String({ minLength: 1, maxLength: 100 })),
   lastName: Type.Optional(Type.String({ minLength: 1, maxLength: 100 })),
   username: Type.Optional(Type.String({ minLength: 3, maxLength: 50 })),
-  phone: Type.Optional(Type.String({ pattern: "^\\+?[0-9]\\d{1,14}$" })),
+  phone: Type.Optional(PhoneNumber()),
+  // Language for SMS/email messages, one of the locales in src/templates/messages
+  locale: Type.Optional(Type.String({ minLength: 2, maxLength: 35 })),
 });
 
 export const InactiveCustomerBody = Type.Object({
   reason: Type.Optional(Type.String({ minLength: 1, maxLength: 500 })),
 });
 
+export const ChangePasswordBody = Type.Object({
+  currentPassword: Type.String({ minLength: 1 }),
+  newPassword: Type.String({ minLength: 1 }),
+  signOutOtherSessions: Type.Optional(Type.Boolean({ default: false })),
+});
+
 // Response schemas
 export const CustomerResponse = Type.Object({
   id: Type.String(),
@@ -21,6 +29,7 @@ export const CustomerResponse = Type.Object({
   lastName: Type.Union([Type.String(), Type.Null()]),
   username: Type.Union([Type.String(), Type.Null()]),
   phone: Type.Union([Type.String(), Type.Null()]),
+  locale: Type.Optional(Type.Union([Type.String(), Type.Null()])),
   isActive: Type.Boolean(),
   updatedAt: DateTimeString,
 });
@@ -31,3 +40,8 @@ export const InactiveCustomerResponse = Type.Object({
   isActive: Type.Boolean(),
   deactivatedAt: DateTimeString,
 });
+
+export const ChangePasswordResponse = Type.Object({
+  changedAt: DateTimeString,
+  revokedTokens: Type.Number(),
+});
@@ -1,16 +1,24 @@
 import { Type } from "@sinclair/typebox";
-import { DateTimeString } from "./common.js";
+import { DateTimeString, PhoneNumber } from "./common.js";
 
 /**
  * OTP schemas for request/response validation
  */
 
+// Channel a code is delivered on ("both" sends SMS and email)
+export const OtpChannel = Type.Union(
+  [Type.Literal("sms"), Type.Literal("email"), Type.Literal("voice"), Type.Literal("both")],
+  { description: "OTP delivery channel" }
+);
+
 // Request body for resending OTP
 export const ResendOtpBody = Type.Object({
   customerId: Type.String({ format: "uuid" }),
-  phone: Type.String(),
+  phone: PhoneNumber(),
   email: Type.String({ format: "email" }),
   deviceId: Type.String(),
+  // Defaults to the channel the code was last sent on
+  channel: Type.Optional(OtpChannel),
 });
 
 // Response data for OTP resend
@@ -19,4 +27,21 @@ export const ResendOtpResponse = Type.Object({
   isNew: Type.Boolean(),
   // OTP expiration time
   expiresAt: DateTimeString,
+  // Codes that may still be sent in the rolling 24 hours
+  remainingQuota: Type.Number(),
+  // Earliest time the next resend is allowed
+  nextResendAt: DateTimeString,
+  // Channel the code is queued on ("both" when sent by SMS and email)
+  channel: OtpChannel,
+});
+
+// 429 response when a cooldown or daily limit applies
+export const OtpLimitResponse = Type.Object({
+  success: Type.Boolean(),
+  error: Type.String(),
+  message: Type.String(),
+  // Next time a code may be requested
+  retryAfter: Type.String({ format: "date-time" }),
+  // Codes that may still be sent in the rolling 24 hours
+  remainingQuota: Type.Number(),
 });
@@ -1,5 +1,12 @@
 import { Type } from "@sinclair/typebox";
-import { SuccessResponse, ErrorResponse, DateTimeString, OptionalString } from "./common.js";
+import {
+  SuccessResponse,
+  ErrorResponse,
+  DateTimeString,
+  OptionalString,
+  PhoneNumber,
+} from "./common.js";
+import { OtpChannel } from "./otp.js";
 
 /**
  * Registration schemas for request/response validation
@@ -7,13 +14,67 @@ import { SuccessResponse, ErrorResponse, DateTimeString, OptionalString } from "
 
 // Request body for creating registration attempt
 export const CreateRegistrationAttemptBody = Type.Object({
-  phone: Type.String(),
+  phone: PhoneNumber(),
   email: Type.String(),
   password: Type.String(),
   firstName: Type.String(),
   lastName: Type.String(),
   ip: Type.String(),
   deviceId: Type.String(),
+  // Where to send the verification code, defaults to "sms"
+  channel: Type.Optional(OtpChannel),
+});
+
+// Request body for checking whether an email/phone can still register
+export const RegistrationCheckBody = Type.Object({
+  email: Type.Optional(Type.String({ format: "email" })),
+  phone: Type.Optional(PhoneNumber()),
+  deviceId: Type.String({ minLength: 1 }),
+});
+
+const IdentifierAvailability = Type.Object({
+  available: Type.Boolean(),
+  // EMAIL_TAKEN or PHONE_TAKEN when not available
+  error: Type.Optional(Type.String()),
+});
+
+// Response data for the availability check (only the identifiers sent)
+export const RegistrationCheckResponse = Type.Object({
+  email: Type.Optional(IdentifierAvailability),
+  phone: Type.Optional(IdentifierAvailability),
+});
+
+// Registration session states (see flow/registration-session-flow.js)
+const RegistrationStatus = Type.Union(
+  ["initiated", "otp_sent", "verified", "completed", "expired", "abandoned"].map((status) =>
+    Type.Literal(status)
+  )
+);
+
+// Response data for starting (or resuming) a registration
+export const RegistrationInitResponse = Type.Object({
+  customerId: Type.String(),
+  registrationId: Type.String(),
+  status: RegistrationStatus,
+  // True when an unfinished registration from the same device was continued
+  resumed: Type.Boolean(),
+});
+
+// Path params for the registration status
+export const RegistrationStatusParams = Type.Object({
+  id: Type.String({ format: "uuid" }),
+});
+
+// Response data for the registration status (no personal details)
+export const RegistrationStatusResponse = Type.Object({
+  registrationId: Type.String(),
+  status: RegistrationStatus,
+  channel: Type.Optional(Type.String()),
+  expiresAt: DateTimeString,
+  verifiedAt: Type.Optional(DateTimeString),
+  completedAt: Type.Optional(DateTimeString),
+  createdAt: DateTimeString,
+  updatedAt: DateTimeString,
 });
 
 // Response data for registration attempt
@@ -76,7 +137,7 @@ export const RateLimitCheckSchema = {
   summary: "Check rate limit",
   body: Type.Object({
     email: OptionalString,
-    phone: OptionalString,
+    phone: Type.Optional(PhoneNumber()),
     minutes: Type.Optional(Type.Number({ default: 60 })),
   }),
   response: {
@@ -1,12 +1,15 @@
 import { Type } from "@sinclair/typebox";
+import { OtpChannel } from "./otp.js";
+import { PhoneNumber } from "./common.js";
 
 export const VerifyOtpBody = Type.Object(
   {
-    phone: Type.Optional(Type.String({ format: "phone", description: "User phone number" })),
+    phone: Type.Optional(PhoneNumber({ description: "User phone number" })),
     email: Type.Optional(Type.String({ format: "email", description: "User email" })),
     otp: Type.String({ description: "One-time password received by user" }),
     customerId: Type.String({ description: "Customer ID associated with the registration" }),
     deviceId: Type.String({ description: "Device ID used for registration" }),
+    channel: Type.Optional(OtpChannel),
   },
   {
     additionalProperties: false,
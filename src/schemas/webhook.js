@@ -0,0 +1,57 @@
+import { Type } from "@sinclair/typebox";
+
+/**
+ * Webhook schemas for request/response validation
+ */
+
+// Delivery report from an SMS provider
+export const SmsStatusReportBody = Type.Object({
+  // Provider message ID (sms_events.providerId)
+  messageId: Type.String({ minLength: 1 }),
+  status: Type.Union([
+    Type.Literal("delivered"),
+    Type.Literal("failed"),
+    Type.Literal("undeliverable"),
+  ]),
+  // Provider name (sms_events.provider), narrows the lookup when given
+  provider: Type.Optional(Type.String()),
+  // Provider/carrier status or error code
+  statusCode: Type.Optional(Type.String()),
+  // When the status changed at the provider
+  occurredAt: Type.Optional(Type.String({ format: "date-time" })),
+});
+
+export const SmsStatusReportResponse = Type.Object({
+  eventId: Type.String(),
+  status: Type.String(),
+  // False when the report was a duplicate or arrived after a final status
+  applied: Type.Boolean(),
+});
+
+// Message received by one of our numbers
+export const InboundSmsBody = Type.Object({
+  // Provider message ID, stored as sms_events.providerId
+  messageId: Type.String({ minLength: 1 }),
+  // Sender phone number
+  from: Type.String({ minLength: 1 }),
+  // Our number the message was sent to
+  to: Type.Optional(Type.String()),
+  message: Type.String(),
+  provider: Type.Optional(Type.String()),
+  // When the provider received the message
+  receivedAt: Type.Optional(Type.String({ format: "date-time" })),
+});
+
+export const InboundSmsResponse = Type.Object({
+  eventId: Type.String(),
+  // STOP, UNSTOP or HELP when the message was a keyword
+  keyword: Type.Union([Type.String(), Type.Null()]),
+  // True when the message had already been stored
+  duplicate: Type.Boolean(),
+});
+
+export const WebhookErrorResponse = Type.Object({
+  success: Type.Boolean(),
+  error: Type.String(),
+  message: Type.String(),
+});
@@ -0,0 +1,62 @@
+/**
+ * One-off migration for registration tokens written before OTPs were peppered.
+ *
+ * - Pending tokens: tokenHash is recomputed from the stored plaintext with the
+ *   OTP_PEPPER, so codes already sent keep working.
+ * - All tokens: the plaintext token column is cleared.
+ *
+ * Run once after deploying with OTP_PEPPER set:
+ *   npm run db:migrate:otp-hashes
+ */
+import { PrismaClient } from "@prisma/client";
+import { hashOtp } from "../utils/crypto.js";
+
+const BATCH_SIZE = 500;
+
+const prisma = new PrismaClient();
+
+const migrate = async () => {
+  let rehashed = 0;
+  let cleared = 0;
+
+  for (;;) {
+    const tokens = await prisma.registration_tokens.findMany({
+      where: { token: { not: null } },
+      select: { id: true, token: true, status: true },
+      take: BATCH_SIZE,
+    });
+
+    if (tokens.length === 0) {
+      break;
+    }
+
+    await prisma.$transaction(
+      tokens.map((token) =>
+        prisma.registration_tokens.update({
+          where: { id: token.id },
+          data:
+            token.status === "pending"
+              ? { token: null, tokenHash: hashOtp(token.token) }
+              : { token: null },
+        })
+      )
+    );
+
+    for (const token of tokens) {
+      if (token.status === "pending") {
+        rehashed += 1;
+      } else {
+        cleared += 1;
+      }
+    }
+  }
+
+  console.log(`OTP hash migration done: ${rehashed} pending tokens rehashed, ${cleared} cleared`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error("OTP hash migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,110 @@
+/**
+ * One-off migration for email normalisation.
+ *
+ * - customers.emailCanonical: filled in with the canonical form of each
+ *   customer's email (aliases folded when EMAIL_FOLD_ALIASES is on) unless
+ *   another customer already holds it; those conflicts are listed and left for
+ *   manual review. customers.email is never rewritten.
+ * - blocks (scope "email"): value rewritten to the canonical form; a block
+ *   duplicating one already stored for the canonical address is deactivated.
+ *
+ * Addresses that cannot be normalised are listed and left unchanged.
+ *
+ * Run once after deploying email normalisation:
+ *   npm run db:migrate:normalize-emails
+ */
+import { PrismaClient } from "@prisma/client";
+import { canonicalEmail } from "../utils/email.js";
+
+const prisma = new PrismaClient();
+
+const migrateCustomers = async () => {
+  const customers = await prisma.customers.findMany({
+    select: { id: true, email: true, emailCanonical: true },
+  });
+  let updated = 0;
+
+  for (const customer of customers) {
+    const emailCanonical = canonicalEmail(customer.email);
+
+    if (!emailCanonical) {
+      console.warn(`Customer ${customer.id}: cannot normalise ${customer.email}`);
+      continue;
+    }
+
+    if (emailCanonical === customer.emailCanonical) {
+      continue;
+    }
+
+    const owner = await prisma.customers.findFirst({
+      where: { emailCanonical, NOT: { id: customer.id } },
+      select: { id: true },
+    });
+
+    if (owner) {
+      console.warn(
+        `Customer ${customer.id}: ${customer.email} is an alias of customer ${owner.id}'s address`
+      );
+      continue;
+    }
+
+    await prisma.customers.update({ where: { id: customer.id }, data: { emailCanonical } });
+    updated += 1;
+  }
+
+  return updated;
+};
+
+const migrateBlocks = async () => {
+  const blocks = await prisma.blocks.findMany({
+    where: { scope: "email" },
+    select: { id: true, value: true },
+  });
+  let updated = 0;
+  let deactivated = 0;
+
+  for (const block of blocks) {
+    const value = canonicalEmail(block.value);
+
+    if (!value) {
+      console.warn(`Block ${block.id}: cannot normalise ${block.value}`);
+      continue;
+    }
+
+    if (value === block.value) {
+      continue;
+    }
+
+    const existing = await prisma.blocks.findUnique({
+      where: { scope_value: { scope: "email", value } },
+      select: { id: true },
+    });
+
+    if (existing) {
+      await prisma.blocks.update({ where: { id: block.id }, data: { active: false } });
+      deactivated += 1;
+    } else {
+      await prisma.blocks.update({ where: { id: block.id }, data: { value } });
+      updated += 1;
+    }
+  }
+
+  return { updated, deactivated };
+};
+
+const migrate = async () => {
+  const customers = await migrateCustomers();
+  const blocks = await migrateBlocks();
+
+  console.log(
+    `Email normalisation done: ${customers} customers updated, ${blocks.updated} blocks ` +
+      `updated, ${blocks.deactivated} duplicate blocks deactivated`
+  );
+};
+
+migrate()
+  .catch((error) => {
+    console.error("Email normalisation failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
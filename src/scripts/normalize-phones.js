@@ -0,0 +1,108 @@
+/**
+ * One-off migration normalising stored phone numbers to E.164.
+ *
+ * - customers.phone: rewritten unless the normalised number belongs to
+ *   another customer; those conflicts are listed and left for manual review.
+ * - blocks (scope "phone"): value rewritten; a block duplicating one already
+ *   stored for the normalised number is deactivated.
+ *
+ * Numbers that cannot be normalised are listed and left unchanged. National
+ * numbers are read in DEFAULT_PHONE_REGION.
+ *
+ * Run once after deploying phone normalisation:
+ *   npm run db:migrate:normalize-phones
+ */
+import { PrismaClient } from "@prisma/client";
+import { normalizePhone } from "../utils/phone.js";
+
+const prisma = new PrismaClient();
+
+const migrateCustomers = async () => {
+  const customers = await prisma.customers.findMany({
+    where: { phone: { not: null } },
+    select: { id: true, phone: true },
+  });
+  let updated = 0;
+
+  for (const customer of customers) {
+    const phone = normalizePhone(customer.phone);
+
+    if (!phone) {
+      console.warn(`Customer ${customer.id}: cannot normalise ${customer.phone}`);
+      continue;
+    }
+
+    if (phone === customer.phone) {
+      continue;
+    }
+
+    const owner = await prisma.customers.findFirst({
+      where: { phone, NOT: { id: customer.id } },
+      select: { id: true },
+    });
+
+    if (owner) {
+      console.warn(`Customer ${customer.id}: ${phone} already belongs to customer ${owner.id}`);
+      continue;
+    }
+
+    await prisma.customers.update({ where: { id: customer.id }, data: { phone } });
+    updated += 1;
+  }
+
+  return updated;
+};
+
+const migrateBlocks = async () => {
+  const blocks = await prisma.blocks.findMany({
+    where: { scope: "phone" },
+    select: { id: true, value: true },
+  });
+  let updated = 0;
+  let deactivated = 0;
+
+  for (const block of blocks) {
+    const value = normalizePhone(block.value);
+
+    if (!value) {
+      console.warn(`Block ${block.id}: cannot normalise ${block.value}`);
+      continue;
+    }
+
+    if (value === block.value) {
+      continue;
+    }
+
+    const existing = await prisma.blocks.findUnique({
+      where: { scope_value: { scope: "phone", value } },
+      select: { id: true },
+    });
+
+    if (existing) {
+      await prisma.blocks.update({ where: { id: block.id }, data: { active: false } });
+      deactivated += 1;
+    } else {
+      await prisma.blocks.update({ where: { id: block.id }, data: { value } });
+      updated += 1;
+    }
+  }
+
+  return { updated, deactivated };
+};
+
+const migrate = async () => {
+  const customers = await migrateCustomers();
+  const blocks = await migrateBlocks();
+
+  console.log(
+    `Phone normalisation done: ${customers} customers updated, ${blocks.updated} blocks ` +
+      `updated, ${blocks.deactivated} duplicate blocks deactivated`
+  );
+};
+
+migrate()
+  .catch((error) => {
+    console.error("Phone normalisation failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
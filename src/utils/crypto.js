@@ -1,5 +1,142 @@
 import crypto from "crypto";
+import { config } from "../config/config.js";
+
+const OTP_HASH_PREFIX = "hmac$";
+const LEGACY_SHA256_PATTERN = /^[0-9a-f]{64}$/;
+const DEVELOPMENT_OTP_PEPPER = "development-otp-pepper";
 
 export function hash(value) {
   return crypto.createHash("sha256").update(value).digest("hex");
 }
+
+/**
+ * Get the server-side pepper used to key OTP hashes.
+ * @returns {string} Pepper
+ * @throws {Error} If OTP_PEPPER is not set in production
+ */
+const getOtpPepper = () => {
+  if (config.OTP_PEPPER) {
+    return config.OTP_PEPPER;
+  }
+
+  if (config.NODE_ENV === "production") {
+    throw new Error("OTP_PEPPER must be configured in production");
+  }
+
+  return DEVELOPMENT_OTP_PEPPER;
+};
+
+/**
+ * Sign a webhook payload: HMAC-SHA256 over "<timestamp>.<raw body>".
+ *
+ * @function
+ * @param {string} secret - Shared webhook secret
+ * @param {string} timestamp - Unix time in seconds, sent alongside the signature
+ * @param {string} rawBody - Request body exactly as received
+ * @returns {string} Hex digest
+ *
+ * @example
+ * const signature = `sha256=${signWebhookPayload(secret, timestamp, body)}`;
+ */
+export function signWebhookPayload(secret, timestamp, rawBody) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+}
+
+/**
+ * Check a webhook signature in constant time and reject stale timestamps,
+ * so a captured request cannot be replayed later.
+ *
+ * @function
+ * @param {Object} params
+ * @param {string} params.secret - Shared webhook secret
+ * @param {string} params.timestamp - Unix time in seconds from the request
+ * @param {string} params.signature - "sha256=<hex>" (or bare hex) from the request
+ * @param {string} params.rawBody - Request body exactly as received
+ * @param {number} params.toleranceSeconds - Maximum clock difference accepted
+ * @returns {boolean} True if the signature is valid and fresh
+ */
+export function verifyWebhookSignature({
+  secret,
+  timestamp,
+  signature,
+  rawBody,
+  toleranceSeconds,
+}) {
+  if (!secret || !timestamp || !signature || rawBody === undefined) {
+    return false;
+  }
+
+  const sentAt = Number(timestamp);
+  if (!Number.isInteger(sentAt) || Math.abs(Date.now() / 1000 - sentAt) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, rawBody), "hex");
+  const candidate = Buffer.from(signature.replace(/^sha256=/, ""), "hex");
+
+  return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+}
+
+/**
+ * Hash an OTP for storage with HMAC-SHA256 keyed by the server-side pepper.
+ *
+ * Without the pepper the stored value cannot be brute forced back to the
+ * six-digit code, unlike a plain SHA-256 digest.
+ *
+ * @function
+ * @param {string} otp - One time password
+ * @returns {string} Encoded hash: hmac$<hex digest>
+ *
+ * @example
+ * const tokenHash = hashOtp(otp);
+ */
+export function hashOtp(otp) {
+  // Alphanumeric codes are case-insensitive for the user
+  const digest = crypto
+    .createHmac("sha256", getOtpPepper())
+    .update(otp.trim().toUpperCase())
+    .digest("hex");
+
+  return `${OTP_HASH_PREFIX}${digest}`;
+}
+
+/**
+ * Check an OTP against a stored hash in constant time.
+ *
+ * Accepts hashes from {@link hashOtp} and, for tokens issued before OTPs were
+ * peppered, legacy unkeyed SHA-256 digests.
+ *
+ * @function
+ * @param {string} otp - OTP submitted by the client
+ * @param {string|null} storedHash - registration_tokens.tokenHash
+ * @returns {boolean} True if the OTP matches
+ *
+ * @example
+ * if (!verifyOtp(otp, tokenRecord.tokenHash)) { ... }
+ */
+export function verifyOtp(otp, storedHash) {
+  if (!otp || !storedHash) {
+    return false;
+  }
+
+  let expected;
+  let candidate;
+
+  if (storedHash.startsWith(OTP_HASH_PREFIX)) {
+    expected = storedHash.slice(OTP_HASH_PREFIX.length);
+    candidate = hashOtp(otp).slice(OTP_HASH_PREFIX.length);
+  } else if (LEGACY_SHA256_PATTERN.test(storedHash)) {
+    expected = storedHash;
+    candidate = hash(otp);
+  } else {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected, "hex");
+  const candidateBuffer = Buffer.from(candidate, "hex");
+
+  return (
+    expectedBuffer.length === candidateBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, candidateBuffer)
+  );
+}
@@ -0,0 +1,137 @@
+import { test, describe, afterEach } from "node:test";
+import assert from "node:assert";
+import crypto from "crypto";
+import { hash, hashOtp, verifyOtp, signWebhookPayload, verifyWebhookSignature } from "./crypto.js";
+import { config } from "../config/config.js";
+
+describe("OTP hashing", () => {
+  const originalPepper = config.OTP_PEPPER;
+  const originalEnv = config.NODE_ENV;
+
+  afterEach(() => {
+    config.OTP_PEPPER = originalPepper;
+    config.NODE_ENV = originalEnv;
+  });
+
+  test("Should store an HMAC keyed by the pepper, not the code", () => {
+    config.OTP_PEPPER = "test-pepper";
+    const expected = crypto.createHmac("sha256", "test-pepper").update("123456").digest("hex");
+
+    assert.strictEqual(hashOtp("123456"), `hmac$${expected}`);
+    assert.notStrictEqual(hashOtp("123456"), `hmac$${hash("123456")}`);
+  });
+
+  test("Should give different hashes for different peppers", () => {
+    config.OTP_PEPPER = "pepper-one";
+    const first = hashOtp("123456");
+    config.OTP_PEPPER = "pepper-two";
+
+    assert.notStrictEqual(hashOtp("123456"), first);
+    assert.strictEqual(verifyOtp("123456", first), false);
+  });
+
+  test("Should verify the right code only", () => {
+    const tokenHash = hashOtp("123456");
+
+    assert.strictEqual(verifyOtp("123456", tokenHash), true);
+    assert.strictEqual(verifyOtp("654321", tokenHash), false);
+  });
+
+  test("Should ignore case and surrounding spaces", () => {
+    const tokenHash = hashOtp("AB12CD");
+
+    assert.strictEqual(verifyOtp(" ab12cd ", tokenHash), true);
+  });
+
+  test("Should verify legacy SHA-256 hashes", () => {
+    assert.strictEqual(verifyOtp("123456", hash("123456")), true);
+    assert.strictEqual(verifyOtp("654321", hash("123456")), false);
+  });
+
+  test("Should reject missing and unknown hashes", () => {
+    assert.strictEqual(verifyOtp("123456", null), false);
+    assert.strictEqual(verifyOtp("", hashOtp("123456")), false);
+    assert.strictEqual(verifyOtp("123456", "123456"), false);
+    assert.strictEqual(verifyOtp("123456", "hmac$abc"), false);
+  });
+
+  test("Should require a pepper in production", () => {
+    config.OTP_PEPPER = undefined;
+    config.NODE_ENV = "production";
+
+    assert.throws(() => hashOtp("123456"), /OTP_PEPPER must be configured/);
+  });
+});
+
+describe("Webhook signatures", () => {
+  const secret = "whsec-test";
+  const rawBody = '{"messageId":"SM1","status":"delivered"}';
+  const now = () => String(Math.floor(Date.now() / 1000));
+
+  const signed = (overrides = {}) => {
+    const timestamp = overrides.timestamp ?? now();
+    return {
+      secret,
+      timestamp,
+      signature: `sha256=${signWebhookPayload(secret, timestamp, rawBody)}`,
+      rawBody,
+      toleranceSeconds: 300,
+      ...overrides,
+    };
+  };
+
+  test("Should sign the timestamp and raw body", () => {
+    const expected = crypto
+      .createHmac("sha256", secret)
+      .update(`1700000000.${rawBody}`)
+      .digest("hex");
+
+    assert.strictEqual(signWebhookPayload(secret, "1700000000", rawBody), expected);
+  });
+
+  test("Should accept a fresh signature, with or without the sha256= prefix", () => {
+    const params = signed();
+
+    assert.strictEqual(verifyWebhookSignature(params), true);
+    assert.strictEqual(
+      verifyWebhookSignature({ ...params, signature: params.signature.slice("sha256=".length) }),
+      true
+    );
+  });
+
+  test("Should reject a signature made with another secret", () => {
+    assert.strictEqual(verifyWebhookSignature({ ...signed(), secret: "other-secret" }), false);
+  });
+
+  test("Should reject a body changed after signing", () => {
+    const params = signed();
+
+    assert.strictEqual(verifyWebhookSignature({ ...params, rawBody: `${rawBody} ` }), false);
+    assert.strictEqual(
+      verifyWebhookSignature({ ...params, rawBody: JSON.stringify(JSON.parse(rawBody), null, 2) }),
+      false
+    );
+  });
+
+  test("Should reject stale and future timestamps outside the tolerance", () => {
+    const stale = String(Math.floor(Date.now() / 1000) - 301);
+    const future = String(Math.floor(Date.now() / 1000) + 301);
+
+    assert.strictEqual(verifyWebhookSignature(signed({ timestamp: stale })), false);
+    assert.strictEqual(verifyWebhookSignature(signed({ timestamp: future })), false);
+  });
+
+  test("Should reject a timestamp that is not a whole number of seconds", () => {
+    assert.strictEqual(verifyWebhookSignature(signed({ timestamp: `${now()}.5` })), false);
+    assert.strictEqual(verifyWebhookSignature(signed({ timestamp: "yesterday" })), false);
+  });
+
+  test("Should reject missing parts and malformed signatures", () => {
+    assert.strictEqual(verifyWebhookSignature({ ...signed(), secret: undefined }), false);
+    assert.strictEqual(verifyWebhookSignature({ ...signed(), timestamp: undefined }), false);
+    assert.strictEqual(verifyWebhookSignature({ ...signed(), signature: undefined }), false);
+    assert.strictEqual(verifyWebhookSignature({ ...signed(), rawBody: undefined }), false);
+    assert.strictEqual(verifyWebhookSignature({ ...signed(), signature: "sha256=abc" }), false);
+    assert.strictEqual(verifyWebhookSignature({ ...signed(), signature: "not hex" }), false);
+  });
+});
@@ -1,14 +1,26 @@
 import { BlockedError } from "../custom-error/block-error.js";
+import { canonicalEmail, checkEmailDomain } from "./email.js";
 
 export const emailValidation = async (request, fastify) => {
   const { email } = request.body;
 
   const { block: blockRepo } = fastify.repos;
 
-  /** 3. Device block validation */
-  const activeBlock = await blockRepo.findActive("email", email);
+  // Nothing to check when the request does not carry this identifier
+  if (!email) {
+    return email;
+  }
+
+  /** 3. Email block validation (blocks are stored for the canonical address) */
+  const activeBlock = await blockRepo.findActive("email", canonicalEmail(email));
   if (activeBlock) {
-    throw new BlockedError(`Email address ${email} has been blocked`);
+    throw new BlockedError(`Email address ${email} has been blocked`, "email_blocked");
+  }
+
+  /** 4. Domain policy: blocked and disposable domains */
+  const domainViolation = checkEmailDomain(email);
+  if (domainViolation) {
+    throw new BlockedError(`Email domain of ${email} is not allowed`, domainViolation);
   }
 
   return email;
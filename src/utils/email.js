@@ -0,0 +1,123 @@
+import { config } from "../config/config.js";
+import { DISPOSABLE_EMAIL_DOMAINS } from "../config/disposable-email-domains.js";
+
+/**
+ * Providers that deliver aliases of an address to the same mailbox.
+ *
+ * plus - "name+tag" is "name"
+ * dots - dots in the local part are ignored
+ * domain - canonical domain for the provider
+ */
+const ALIAS_RULES = {
+  "gmail.com": { plus: true, dots: true },
+  "googlemail.com": { plus: true, dots: true, domain: "gmail.com" },
+  "outlook.com": { plus: true },
+  "hotmail.com": { plus: true },
+  "live.com": { plus: true },
+  "icloud.com": { plus: true },
+  "me.com": { plus: true },
+  "fastmail.com": { plus: true },
+  "proton.me": { plus: true },
+  "protonmail.com": { plus: true },
+};
+
+const DISPOSABLE_DOMAINS = new Set(DISPOSABLE_EMAIL_DOMAINS);
+
+/**
+ * Whether a domain or one of its parent domains is in a set
+ * @param {Set<string>} domains - Lowercase domains
+ * @param {string} domain - Lowercase domain to check
+ * @returns {boolean}
+ */
+const matchesDomain = (domains, domain) => {
+  const labels = domain.split(".");
+  return labels.some((_, index) => domains.has(labels.slice(index).join(".")));
+};
+
+/**
+ * Normalise an email address as typed for storage and delivery: trimmed and
+ * lowercased, nothing else is changed.
+ *
+ * @function
+ * @param {string} email - Email address as typed
+ * @returns {string|null} Normalised address, or null if it has no local part or domain
+ *
+ * @example
+ * normalizeEmail(" John.Smith@Example.COM "); // "john.smith@example.com"
+ * normalizeEmail("john.smith+news@gmail.com"); // "john.smith+news@gmail.com"
+ */
+export const normalizeEmail = (email) => {
+  if (typeof email !== "string") {
+    return null;
+  }
+
+  const address = email.trim().toLowerCase();
+  const at = address.lastIndexOf("@");
+  const domain = address.slice(at + 1).replace(/\.$/, "");
+
+  if (at < 1 || !domain) {
+    return null;
+  }
+
+  return `${address.slice(0, at)}@${domain}`;
+};
+
+/**
+ * Canonical form of an email address, the mailbox it delivers to. Used only to
+ * match addresses (uniqueness and block checks), never to send mail.
+ *
+ * The address is normalised and, with alias folding on (EMAIL_FOLD_ALIASES),
+ * known providers' aliases are folded: "J.Doe+shop@GoogleMail.com" becomes
+ * "jdoe@gmail.com".
+ *
+ * @function
+ * @param {string} email - Email address as typed or normalised
+ * @param {Object} [options]
+ * @param {boolean} [options.foldAliases] - Fold plus/dot aliases, defaults to EMAIL_FOLD_ALIASES
+ * @returns {string|null} Canonical address, or null if it is not valid
+ *
+ * @example
+ * canonicalEmail("John.Smith+news@gmail.com"); // "johnsmith@gmail.com"
+ */
+export const canonicalEmail = (email, { foldAliases = config.EMAIL_FOLD_ALIASES } = {}) => {
+  const address = normalizeEmail(email);
+  if (!address) {
+    return null;
+  }
+
+  const at = address.lastIndexOf("@");
+  let local = address.slice(0, at);
+  let domain = address.slice(at + 1);
+
+  const rule = foldAliases ? ALIAS_RULES[domain] : undefined;
+  if (rule) {
+    local = rule.plus ? local.split("+")[0] : local;
+    local = rule.dots ? local.replace(/\./g, "") : local;
+    domain = rule.domain ?? domain;
+  }
+
+  return local ? `${local}@${domain}` : null;
+};
+
+/**
+ * Check an email address against the domain policy: EMAIL_BLOCKED_DOMAINS and,
+ * unless EMAIL_ALLOW_DISPOSABLE, the disposable domain list. Subdomains of
+ * listed domains are rejected too.
+ *
+ * @function
+ * @param {string} email - Normalised email address
+ * @returns {string|null} "blocked_domain", "disposable_domain" or null if allowed
+ */
+export const checkEmailDomain = (email) => {
+  const domain = email.slice(email.lastIndexOf("@") + 1).toLowerCase();
+
+  if (matchesDomain(new Set(config.EMAIL_BLOCKED_DOMAINS), domain)) {
+    return "blocked_domain";
+  }
+
+  if (!config.EMAIL_ALLOW_DISPOSABLE && matchesDomain(DISPOSABLE_DOMAINS, domain)) {
+    return "disposable_domain";
+  }
+
+  return null;
+};
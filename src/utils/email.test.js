@@ -0,0 +1,70 @@
+import { test, describe, afterEach } from "node:test";
+import assert from "node:assert";
+import { normalizeEmail, canonicalEmail, checkEmailDomain } from "./email.js";
+import { config } from "../config/config.js";
+
+describe("Email normalisation", () => {
+  test("Should trim and lowercase the address and keep everything else", () => {
+    assert.strictEqual(normalizeEmail(" John.Smith@Example.COM "), "john.smith@example.com");
+    assert.strictEqual(normalizeEmail("John.Smith+News@Gmail.com"), "john.smith+news@gmail.com");
+    assert.strictEqual(normalizeEmail("user@example.com."), "user@example.com");
+  });
+
+  test("Should reject addresses without a local part or domain", () => {
+    for (const email of ["", "user", "@example.com", "user@", "user@.", 42, null]) {
+      assert.strictEqual(normalizeEmail(email), null, String(email));
+    }
+  });
+});
+
+describe("Canonical email", () => {
+  test("Should fold plus and dot aliases for providers that ignore them", () => {
+    const cases = {
+      "John.Smith+news@gmail.com": "johnsmith@gmail.com",
+      "J.Doe+shop@GoogleMail.com": "jdoe@gmail.com",
+      "jane.doe+work@outlook.com": "jane.doe@outlook.com",
+      "jane.doe+work@example.com": "jane.doe+work@example.com",
+    };
+
+    for (const [email, expected] of Object.entries(cases)) {
+      assert.strictEqual(canonicalEmail(email, { foldAliases: true }), expected, email);
+    }
+  });
+
+  test("Should only normalise when alias folding is off", () => {
+    assert.strictEqual(
+      canonicalEmail("John.Smith+news@gmail.com", { foldAliases: false }),
+      "john.smith+news@gmail.com"
+    );
+  });
+
+  test("Should reject an address whose local part folds away", () => {
+    assert.strictEqual(canonicalEmail("+news@gmail.com", { foldAliases: true }), null);
+    assert.strictEqual(canonicalEmail("not-an-email", { foldAliases: true }), null);
+  });
+});
+
+describe("Email domain policy", () => {
+  const originalConfig = { ...config };
+
+  afterEach(() => {
+    Object.assign(config, originalConfig);
+  });
+
+  test("Should reject blocked domains and their subdomains", () => {
+    config.EMAIL_BLOCKED_DOMAINS = ["example.org"];
+
+    assert.strictEqual(checkEmailDomain("user@example.org"), "blocked_domain");
+    assert.strictEqual(checkEmailDomain("user@mail.example.org"), "blocked_domain");
+    assert.strictEqual(checkEmailDomain("user@notexample.org"), null);
+  });
+
+  test("Should reject disposable domains unless they are allowed", () => {
+    config.EMAIL_ALLOW_DISPOSABLE = false;
+    assert.strictEqual(checkEmailDomain("user@guerrillamail.com"), "disposable_domain");
+    assert.strictEqual(checkEmailDomain("user@example.com"), null);
+
+    config.EMAIL_ALLOW_DISPOSABLE = true;
+    assert.strictEqual(checkEmailDomain("user@guerrillamail.com"), null);
+  });
+});
@@ -0,0 +1,17 @@
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+/**
+ * Escape text for use in HTML content or attribute values.
+ * @function
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Wrap an HTML fragment in a minimal document for email bodies.
+ * @function
+ * @param {string} body - HTML fragment
+ * @returns {string} HTML document
+ */
+export const htmlDocument = (body) => `<!doctype html>\n<html><body>\n${body}\n</body></html>`;
@@ -1,3 +1,23 @@
-export function generateOTP() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+import { config } from "../config/config.js";
+import { CHARSETS, randomString } from "./random.js";
+
+/**
+ * Generate a one time password with a cryptographically secure RNG.
+ *
+ * Length and character set default to OTP_LENGTH and OTP_CHARSET
+ * ("numeric" or "alphanumeric").
+ *
+ * @function
+ * @param {Object} [options]
+ * @param {number} [options.length] - Number of characters
+ * @param {string} [options.charset] - "numeric" or "alphanumeric"
+ * @returns {string} OTP
+ */
+export function generateOTP({ length = config.OTP_LENGTH, charset = config.OTP_CHARSET } = {}) {
+  const alphabet = CHARSETS[charset];
+  if (!alphabet) {
+    throw new Error(`Unsupported OTP charset ${charset}`);
+  }
+
+  return randomString(length, alphabet);
 }
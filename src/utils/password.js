@@ -0,0 +1,176 @@
+import crypto from "crypto";
+import { promisify } from "util";
+import { config } from "../config/config.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PREFIX = "scrypt";
+const LEGACY_SHA256_PATTERN = /^[0-9a-f]{64}$/;
+const POSITIVE_INTEGER_PATTERN = /^[1-9][0-9]*$/;
+// Shortest derived key accepted from a stored hash
+const MIN_KEY_BYTES = 16;
+
+/**
+ * Read the current scrypt cost parameters from config.
+ * @returns {{ N: number, r: number, p: number, keyLength: number, saltBytes: number }}
+ */
+const currentParams = () => ({
+  N: config.PASSWORD_SCRYPT_COST,
+  r: config.PASSWORD_SCRYPT_BLOCK_SIZE,
+  p: config.PASSWORD_SCRYPT_PARALLELIZATION,
+  keyLength: config.PASSWORD_KEY_LENGTH,
+  saltBytes: config.PASSWORD_SALT_BYTES,
+});
+
+/**
+ * Derive a scrypt key. maxmem is raised so that higher cost settings do not
+ * hit Node's default 32MB limit.
+ */
+const deriveKey = (password, salt, { N, r, p, keyLength }) =>
+  scrypt(password, salt, keyLength, { N, r, p, maxmem: 256 * N * r });
+
+/**
+ * Parse an encoded scrypt hash. Corrupt hashes (cost parameters that are not
+ * positive integers, an empty salt or a key shorter than MIN_KEY_BYTES) are
+ * rejected, so they can never verify.
+ * @param {string} storedHash - Encoded hash
+ * @returns {Object|null} Parsed parameters, salt and key, or null if not a valid scrypt hash
+ */
+const parseScryptHash = (storedHash) => {
+  const parts = storedHash.split("$");
+  if (parts.length !== 6 || parts[0] !== SCRYPT_PREFIX) {
+    return null;
+  }
+
+  const [, N, r, p, salt, key] = parts;
+  if (![N, r, p].every((param) => POSITIVE_INTEGER_PATTERN.test(param))) {
+    return null;
+  }
+
+  const saltBytes = Buffer.from(salt, "base64");
+  const derived = Buffer.from(key, "base64");
+  if (saltBytes.length === 0 || derived.length < MIN_KEY_BYTES) {
+    return null;
+  }
+
+  return {
+    N: parseInt(N, 10),
+    r: parseInt(r, 10),
+    p: parseInt(p, 10),
+    keyLength: derived.length,
+    salt: saltBytes,
+    key: derived,
+  };
+};
+
+/**
+ * Hash a password with scrypt and a random per-password salt.
+ *
+ * The cost parameters are encoded into the result so that hashes created
+ * with older settings can still be verified after the config changes.
+ *
+ * @function
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Encoded hash: scrypt$N$r$p$<salt>$<key> (base64 salt/key)
+ *
+ * @example
+ * const passwordHash = await hashPassword("SecurePass123!");
+ */
+export const hashPassword = async (password) => {
+  const params = currentParams();
+  const salt = crypto.randomBytes(params.saltBytes);
+  const key = await deriveKey(password, salt, params);
+
+  return [
+    SCRYPT_PREFIX,
+    params.N,
+    params.r,
+    params.p,
+    salt.toString("base64"),
+    key.toString("base64"),
+  ].join("$");
+};
+
+/**
+ * Verify a password against a stored hash.
+ *
+ * Supports scrypt hashes produced by {@link hashPassword} and legacy unsalted
+ * SHA-256 hex digests. needsRehash is true when the password is valid but the
+ * stored hash is legacy or was created with different cost parameters, so the
+ * caller can transparently upgrade it.
+ *
+ * @function
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Hash stored in customers.passwordHash
+ * @returns {Promise<{ valid: boolean, needsRehash: boolean }>} Verification result
+ *
+ * @example
+ * const { valid, needsRehash } = await verifyPassword(password, customer.passwordHash);
+ */
+export const verifyPassword = async (password, storedHash) => {
+  if (!password || !storedHash) {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (LEGACY_SHA256_PATTERN.test(storedHash)) {
+    const candidate = crypto.createHash("sha256").update(password).digest();
+    const valid = crypto.timingSafeEqual(candidate, Buffer.from(storedHash, "hex"));
+    return { valid, needsRehash: valid };
+  }
+
+  const parsed = parseScryptHash(storedHash);
+  if (!parsed) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const candidate = await deriveKey(password, parsed.salt, parsed);
+  const valid = crypto.timingSafeEqual(candidate, parsed.key);
+
+  const params = currentParams();
+  const outdated =
+    parsed.N !== params.N ||
+    parsed.r !== params.r ||
+    parsed.p !== params.p ||
+    parsed.keyLength !== params.keyLength ||
+    parsed.salt.length !== params.saltBytes;
+
+  return { valid, needsRehash: valid && outdated };
+};
+
+/**
+ * Check a new password against the configured password policy.
+ *
+ * Rules come from the PASSWORD_MIN_LENGTH, PASSWORD_MAX_LENGTH and
+ * PASSWORD_REQUIRE_* settings. Each unmet rule adds a readable message.
+ *
+ * @function
+ * @param {string} password - Plain text password
+ * @returns {{ valid: boolean, errors: Array<string> }} Policy result
+ *
+ * @example
+ * const { valid, errors } = checkPasswordPolicy(newPassword);
+ */
+export const checkPasswordPolicy = (password) => {
+  const errors = [];
+
+  if (password.length < config.PASSWORD_MIN_LENGTH) {
+    errors.push(`Password must be at least ${config.PASSWORD_MIN_LENGTH} characters`);
+  }
+  if (password.length > config.PASSWORD_MAX_LENGTH) {
+    errors.push(`Password must be at most ${config.PASSWORD_MAX_LENGTH} characters`);
+  }
+  if (config.PASSWORD_REQUIRE_UPPERCASE && !/[A-Z]/.test(password)) {
+    errors.push("Password must contain an uppercase letter");
+  }
+  if (config.PASSWORD_REQUIRE_LOWERCASE && !/[a-z]/.test(password)) {
+    errors.push("Password must contain a lowercase letter");
+  }
+  if (config.PASSWORD_REQUIRE_DIGIT && !/[0-9]/.test(password)) {
+    errors.push("Password must contain a digit");
+  }
+  if (config.PASSWORD_REQUIRE_SYMBOL && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push("Password must contain a symbol");
+  }
+
+  return { valid: errors.length === 0, errors };
+};
@@ -0,0 +1,134 @@
+import { test, describe, afterEach } from "node:test";
+import assert from "node:assert";
+import crypto from "crypto";
+import { hashPassword, verifyPassword, checkPasswordPolicy } from "./password.js";
+import { config } from "../config/config.js";
+
+describe("Password hashing", () => {
+  const originalCost = config.PASSWORD_SCRYPT_COST;
+
+  afterEach(() => {
+    config.PASSWORD_SCRYPT_COST = originalCost;
+  });
+
+  test("Should encode the scrypt parameters, salt and key in the hash", async () => {
+    const hash = await hashPassword("SecurePass123!");
+    const [prefix, N, r, p, salt, key] = hash.split("$");
+
+    assert.strictEqual(prefix, "scrypt");
+    assert.strictEqual(Number(N), config.PASSWORD_SCRYPT_COST);
+    assert.strictEqual(Number(r), config.PASSWORD_SCRYPT_BLOCK_SIZE);
+    assert.strictEqual(Number(p), config.PASSWORD_SCRYPT_PARALLELIZATION);
+    assert.strictEqual(Buffer.from(salt, "base64").length, config.PASSWORD_SALT_BYTES);
+    assert.strictEqual(Buffer.from(key, "base64").length, config.PASSWORD_KEY_LENGTH);
+  });
+
+  test("Should salt every hash", async () => {
+    const first = await hashPassword("SecurePass123!");
+    const second = await hashPassword("SecurePass123!");
+
+    assert.notStrictEqual(first, second);
+  });
+
+  test("Should verify the right password only", async () => {
+    const hash = await hashPassword("SecurePass123!");
+
+    assert.deepStrictEqual(await verifyPassword("SecurePass123!", hash), {
+      valid: true,
+      needsRehash: false,
+    });
+    assert.deepStrictEqual(await verifyPassword("WrongPass123!", hash), {
+      valid: false,
+      needsRehash: false,
+    });
+  });
+
+  test("Should ask for a rehash when the cost parameters changed", async () => {
+    config.PASSWORD_SCRYPT_COST = 1024;
+    const hash = await hashPassword("SecurePass123!");
+    config.PASSWORD_SCRYPT_COST = originalCost;
+
+    const result = await verifyPassword("SecurePass123!", hash);
+    assert.deepStrictEqual(result, { valid: true, needsRehash: true });
+  });
+
+  test("Should verify legacy SHA-256 hashes and ask for a rehash", async () => {
+    const legacy = crypto.createHash("sha256").update("SecurePass123!").digest("hex");
+
+    assert.deepStrictEqual(await verifyPassword("SecurePass123!", legacy), {
+      valid: true,
+      needsRehash: true,
+    });
+    assert.deepStrictEqual(await verifyPassword("WrongPass123!", legacy), {
+      valid: false,
+      needsRehash: false,
+    });
+  });
+
+  test("Should reject malformed scrypt hashes without throwing", async () => {
+    const hash = await hashPassword("SecurePass123!");
+    const [, N, r, p, salt, key] = hash.split("$");
+    const shortKey = Buffer.alloc(8).toString("base64");
+
+    const malformed = [
+      "",
+      "not-a-hash",
+      ["bcrypt", N, r, p, salt, key].join("$"),
+      ["scrypt", N, r, p, salt].join("$"),
+      ["scrypt", "0", r, p, salt, key].join("$"),
+      ["scrypt", "-1", r, p, salt, key].join("$"),
+      ["scrypt", "1.5", r, p, salt, key].join("$"),
+      ["scrypt", N, "abc", p, salt, key].join("$"),
+      ["scrypt", N, r, p, "", key].join("$"),
+      ["scrypt", N, r, p, salt, ""].join("$"),
+      ["scrypt", N, r, p, salt, shortKey].join("$"),
+    ];
+
+    for (const storedHash of malformed) {
+      assert.deepStrictEqual(
+        await verifyPassword("SecurePass123!", storedHash),
+        { valid: false, needsRehash: false },
+        `Should reject ${JSON.stringify(storedHash)}`
+      );
+    }
+  });
+
+  test("Should reject a missing password or hash", async () => {
+    const hash = await hashPassword("SecurePass123!");
+
+    assert.strictEqual((await verifyPassword("", hash)).valid, false);
+    assert.strictEqual((await verifyPassword("SecurePass123!", null)).valid, false);
+  });
+});
+
+describe("Password policy", () => {
+  const originalConfig = { ...config };
+
+  afterEach(() => {
+    Object.assign(config, originalConfig);
+  });
+
+  test("Should enforce the length limits", () => {
+    config.PASSWORD_MIN_LENGTH = 8;
+    config.PASSWORD_MAX_LENGTH = 12;
+
+    assert.strictEqual(checkPasswordPolicy("short").valid, false);
+    assert.strictEqual(checkPasswordPolicy("long enough").valid, true);
+    assert.strictEqual(checkPasswordPolicy("far too long for it").valid, false);
+  });
+
+  test("Should list every unmet character rule", () => {
+    config.PASSWORD_MIN_LENGTH = 1;
+    config.PASSWORD_REQUIRE_UPPERCASE = true;
+    config.PASSWORD_REQUIRE_LOWERCASE = true;
+    config.PASSWORD_REQUIRE_DIGIT = true;
+    config.PASSWORD_REQUIRE_SYMBOL = true;
+
+    assert.deepStrictEqual(checkPasswordPolicy("abc").errors, [
+      "Password must contain an uppercase letter",
+      "Password must contain a digit",
+      "Password must contain a symbol",
+    ]);
+    assert.deepStrictEqual(checkPasswordPolicy("Abc1!"), { valid: true, errors: [] });
+  });
+});
@@ -5,6 +5,11 @@ export const phoneValidation = async (request, fastify) => {
 
   const { block: blockRepo } = fastify.repos;
 
+  // Nothing to check when the request does not carry this identifier
+  if (!phone) {
+    return phone;
+  }
+
   /** 3. Phone block validation */
   const activeBlock = await blockRepo.findActive("phone", phone);
   if (activeBlock) {
@@ -0,0 +1,123 @@
+import { config } from "../config/config.js";
+
+// Any number in E.164 format: + country code and subscriber number, at most 15 digits
+export const E164_PATTERN = "^\\+[1-9]\\d{6,14}$";
+const E164 = new RegExp(E164_PATTERN);
+
+/**
+ * Numbering rules by region (ISO 3166-1 alpha-2).
+ *
+ * countryCode - Calling code without the +
+ * trunkPrefix - Digit(s) dialled before national numbers, dropped in E.164
+ * internationalPrefix - Digits dialled before a country code when calling abroad, read as "+"
+ * nationalNumber - Valid national significant numbers (without trunk prefix)
+ *
+ * Numbers with other country codes are accepted in any valid E.164 form.
+ */
+const PHONE_RULES = {
+  // Mobiles 4xx xxx xxx, geographic 2/3/7/8 + 8 digits
+  AU: {
+    countryCode: "61",
+    trunkPrefix: "0",
+    internationalPrefix: "0011",
+    nationalNumber: /^[23478]\d{8}$/,
+  },
+  // Mobiles 2x + 6-8 digits, geographic 3/4/6/7/9 + 7 digits
+  NZ: {
+    countryCode: "64",
+    trunkPrefix: "0",
+    internationalPrefix: "00",
+    nationalNumber: /^(2\d{7,9}|[34679]\d{7})$/,
+  },
+};
+
+/**
+ * National significant number for a rule, accepting it with or without the trunk prefix.
+ * @param {Object} rule - Entry of PHONE_RULES
+ * @param {string} digits - Digits after the country code, or as dialled nationally
+ * @returns {string|null} National number or null if invalid
+ */
+const nationalNumber = (rule, digits) => {
+  if (rule.nationalNumber.test(digits)) {
+    return digits;
+  }
+
+  const withoutTrunk = digits.startsWith(rule.trunkPrefix)
+    ? digits.slice(rule.trunkPrefix.length)
+    : null;
+
+  return withoutTrunk && rule.nationalNumber.test(withoutTrunk) ? withoutTrunk : null;
+};
+
+/**
+ * Normalise an international number (digits after the + or the international prefix).
+ * @param {string} digits - Country code and number
+ * @returns {string|null} E.164 number or null if invalid
+ */
+const fromInternational = (digits) => {
+  // Country codes are prefix-free, so at most one rule matches
+  const rule = Object.values(PHONE_RULES).find(({ countryCode }) => digits.startsWith(countryCode));
+
+  if (!rule) {
+    return E164.test(`+${digits}`) ? `+${digits}` : null;
+  }
+
+  const national = nationalNumber(rule, digits.slice(rule.countryCode.length));
+  return national ? `+${rule.countryCode}${national}` : null;
+};
+
+/**
+ * Normalise a phone number to E.164.
+ *
+ * Spaces, dashes, dots and parentheses are ignored and the region's international
+ * prefix (0011 in AU, 00 in NZ) is read as "+".
+ * Numbers without a + are read in the given region: with the trunk prefix
+ * (0412 345 678), without it (412 345 678) or with the country code but no +
+ * (61 412 345 678). A trunk prefix typed after the country code (+61 0412 ...)
+ * is dropped.
+ *
+ * @function
+ * @param {string} phone - Phone number as typed
+ * @param {Object} [options]
+ * @param {string} [options.region] - Region for national numbers, defaults to DEFAULT_PHONE_REGION
+ * @returns {string|null} E.164 number, or null if the number is not valid
+ * @throws {Error} If there are no rules for the region
+ *
+ * @example
+ * normalizePhone("0412 345 678"); // "+61412345678"
+ * normalizePhone("+64 21 123 4567"); // "+64211234567"
+ * normalizePhone("0011 64 21 123 4567"); // "+64211234567"
+ * normalizePhone("12345"); // null
+ */
+export const normalizePhone = (phone, { region = config.DEFAULT_PHONE_REGION } = {}) => {
+  const rule = PHONE_RULES[region];
+  if (!rule) {
+    throw new Error(`No phone number rules for region ${region}`);
+  }
+
+  if (typeof phone !== "string") {
+    return null;
+  }
+
+  const compact = phone.trim().replace(/[\s\-.()]/g, "");
+  const international = compact.startsWith("+")
+    ? compact.slice(1)
+    : compact.startsWith(rule.internationalPrefix)
+      ? compact.slice(rule.internationalPrefix.length)
+      : null;
+
+  if (international !== null) {
+    return /^\d+$/.test(international) ? fromInternational(international) : null;
+  }
+
+  if (!/^\d+$/.test(compact)) {
+    return null;
+  }
+
+  const national = nationalNumber(rule, compact);
+  if (national) {
+    return `+${rule.countryCode}${national}`;
+  }
+
+  return compact.startsWith(rule.countryCode) ? fromInternational(compact) : null;
+};
@@ -0,0 +1,52 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import { normalizePhone } from "./phone.js";
+
+describe("Phone normalisation", () => {
+  test("Should read national numbers in the region", () => {
+    const cases = {
+      "0412 345 678": "+61412345678",
+      412345678: "+61412345678",
+      "61 412 345 678": "+61412345678",
+      "(02) 9876-5432": "+61298765432",
+      "0412.345.678": "+61412345678",
+    };
+
+    for (const [typed, expected] of Object.entries(cases)) {
+      assert.strictEqual(normalizePhone(typed, { region: "AU" }), expected, typed);
+    }
+  });
+
+  test("Should accept international numbers with a + or the region's prefix", () => {
+    const cases = {
+      "+61 412 345 678": "+61412345678",
+      "+61 0412 345 678": "+61412345678",
+      "0011 64 21 123 4567": "+64211234567",
+      "+44 20 7946 0958": "+442079460958",
+    };
+
+    for (const [typed, expected] of Object.entries(cases)) {
+      assert.strictEqual(normalizePhone(typed, { region: "AU" }), expected, typed);
+    }
+  });
+
+  test("Should only read the region's own international prefix as +", () => {
+    assert.strictEqual(normalizePhone("00 64 21 123 4567", { region: "AU" }), null);
+    assert.strictEqual(normalizePhone("00 61 412 345 678", { region: "NZ" }), "+61412345678");
+    assert.strictEqual(normalizePhone("021 123 4567", { region: "NZ" }), "+64211234567");
+  });
+
+  test("Should reject numbers that are not valid", () => {
+    const invalid = ["", "12345", "+61 512 345 678", "+1 (555)", "04123abc78", "++61412345678"];
+
+    for (const typed of invalid) {
+      assert.strictEqual(normalizePhone(typed, { region: "AU" }), null, typed);
+    }
+    assert.strictEqual(normalizePhone(61412345678, { region: "AU" }), null);
+    assert.strictEqual(normalizePhone(undefined, { region: "AU" }), null);
+  });
+
+  test("Should throw for a region without rules", () => {
+    assert.throws(() => normalizePhone("0412 345 678", { region: "ZZ" }), /No phone number rules/);
+  });
+});
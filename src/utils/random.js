@@ -0,0 +1,148 @@
+import crypto from "crypto";
+
+// Crockford base32: no I, L, O or U, so IDs and codes are hard to misread
+const CROCKFORD_BASE32 = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const NUMERIC = "0123456789";
+
+const ID_TIME_LENGTH = 10; // 48-bit millisecond timestamp
+const ID_RANDOM_BYTES = 10; // 80 bits of randomness
+const ID_INSERT_MAX_ATTEMPTS = 3;
+
+export const CHARSETS = {
+  numeric: NUMERIC,
+  alphanumeric: CROCKFORD_BASE32,
+};
+
+export const ID_PREFIXES = {
+  customer: "cust",
+  device: "dev",
+};
+
+/**
+ * Generate a random string from an alphabet without modulo bias.
+ *
+ * @function
+ * @param {number} length - Number of characters
+ * @param {string} [alphabet=CHARSETS.alphanumeric] - Characters to pick from
+ * @returns {string} Random string
+ *
+ * @example
+ * const code = randomString(6, CHARSETS.numeric); // "048213"
+ */
+export const randomString = (length, alphabet = CHARSETS.alphanumeric) => {
+  let result = "";
+  for (let i = 0; i < length; i += 1) {
+    result += alphabet[crypto.randomInt(alphabet.length)];
+  }
+
+  return result;
+};
+
+/**
+ * Encode a millisecond timestamp as fixed-width Crockford base32.
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string} Encoded time, sorts the same way as the number
+ */
+const encodeTime = (time) => {
+  let remaining = time;
+  let encoded = "";
+  for (let i = 0; i < ID_TIME_LENGTH; i += 1) {
+    encoded = CROCKFORD_BASE32[remaining % 32] + encoded;
+    remaining = Math.floor(remaining / 32);
+  }
+
+  return encoded;
+};
+
+/**
+ * Encode random bytes as Crockford base32 (5 bits per character).
+ * @param {Buffer} bytes - Random bytes
+ * @returns {string} Encoded bytes
+ */
+const encodeBytes = (bytes) => {
+  let bits = 0;
+  let value = 0;
+  let encoded = "";
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      encoded += CROCKFORD_BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    encoded += CROCKFORD_BASE32[(value << (5 - bits)) & 31];
+  }
+
+  return encoded;
+};
+
+/**
+ * Generate a sortable, prefixed ID.
+ *
+ * The body is ULID-like: a millisecond timestamp followed by 80 random bits,
+ * both Crockford base32, so IDs created later sort after earlier ones.
+ *
+ * @function
+ * @param {string} prefix - Entity prefix (see ID_PREFIXES)
+ * @returns {string} ID such as cust_01JAZ3X8Q4M7R2K9T5V6W8Y0ZB3C
+ *
+ * @example
+ * const id = generateId(ID_PREFIXES.device); // "dev_01JAZ3X8Q4..."
+ */
+export const generateId = (prefix) =>
+  `${prefix}_${encodeTime(Date.now())}${encodeBytes(crypto.randomBytes(ID_RANDOM_BYTES))}`;
+
+/**
+ * Check whether a Prisma error is a unique violation on the primary key.
+ * @param {Error} error - Error thrown by Prisma
+ * @returns {boolean} True if the insert collided on id
+ */
+const isIdCollision = (error) => {
+  if (error?.code !== "P2002") {
+    return false;
+  }
+
+  const target = error.meta?.target;
+  if (Array.isArray(target)) {
+    return target.includes("id");
+  }
+
+  return typeof target === "string" && target.endsWith("_pkey");
+};
+
+/**
+ * Insert a record with a freshly generated ID, retrying with a new ID when the
+ * insert hits a primary key collision. Other errors, including unique
+ * violations on other columns, are rethrown immediately.
+ *
+ * @function
+ * @param {Function} generate - Returns a new ID
+ * @param {Function} insert - Async function receiving the ID and inserting the record
+ * @param {number} [maxAttempts=3] - Attempts before giving up
+ * @returns {Promise<*>} Result of insert
+ *
+ * @example
+ * const device = await insertWithUniqueId(
+ *   () => generateId(ID_PREFIXES.device),
+ *   (id) => deviceRepo.create({ id, ...data })
+ * );
+ */
+export const insertWithUniqueId = async (
+  generate,
+  insert,
+  maxAttempts = ID_INSERT_MAX_ATTEMPTS
+) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await insert(generate());
+    } catch (error) {
+      if (attempt >= maxAttempts || !isIdCollision(error)) {
+        throw error;
+      }
+    }
+  }
+};